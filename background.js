@@ -8,6 +8,7 @@ const STATUS_COLORS = {
   disconnected: '#ef4444', // red
   connecting: '#fbbf24',   // yellow/amber
   connected: '#4ade80',    // green
+  incompatible: '#f97316', // orange
 };
 
 // Draw robot icon with status indicator
@@ -75,28 +76,76 @@ function updateIcon(status) {
 }
 
 const NATIVE_HOST_NAME = 'com.webcrawlerapi.scraper';
+// How long to wait for the host's HELLO_ACK before assuming a legacy host
+const HOST_ACK_TIMEOUT = 10000;
+
+// What a host from before the handshake existed can take: compressed html, no chunks
+const LEGACY_HOST_CAPABILITIES = {
+  encodings: ['gzip+base64'],
+  chunkedTransfer: false,
+};
+
+// Native messaging protocol version, exchanged with the host in HELLO/HELLO_ACK
+const PROTOCOL_VERSION = 1;
+
+// Scrape options this extension implements, advertised to the host in HELLO
+const SUPPORTED_SCRAPE_OPTIONS = [
+  'timeout', 'waitFor', 'waitForSelector', 'waitForSelectorTimeout', 'shadowRootTimeout',
+  'waitUntil', 'waitUntilTimeout', 'waitForFunction', 'waitForFunctionTimeout',
+  'waitForFunctionPollInterval', 'actions', 'autoScroll', 'headers', 'headerDomains', 'cookies', 'block',
+  'captureNetwork', 'extract', 'screenshot', 'format', 'debug',
+];
+
+// Host version and capabilities from HELLO_ACK; null until the handshake completes
+let hostInfo = null;
+
+// URL policy enforced until the host sends its own (config.json urlPolicy) in HELLO_ACK
+const DEFAULT_URL_POLICY = {
+  allowedSchemes: ['http', 'https'],
+  allowDomains: [],
+  denyDomains: [],
+  blockPrivateNetworks: true,
+};
 
 let config = {
   enabled: false,
   pageLoadTimeout: 30000,
   reconnectInterval: 3000,
+  maxConcurrency: 3,
 };
 
 let nativePort = null;
-let isProcessing = false;
+
+// Worker pool: each running task owns a slot (and its own tab) until it finishes
+const activeTasks = new Map();
+const queuedTasks = [];
 
 let stats = {
   totalScraped: 0,
   errors: 0,
   lastActivity: null,
   connectionState: 'disconnected',
+  // Set when connected to a host that never answered HELLO
+  legacyHost: false,
+  // Why the host refused the handshake, shown in the popup
+  hostError: null,
 };
 
+// Task state and stats are mirrored to chrome.storage.session, which outlives a
+// service worker restart, so the next worker can clean up after lost tasks
+const TASK_STATE_KEY = 'scraperTaskState';
+const STATS_KEY = 'scraperStats';
+
 // Set initial icon
 updateIcon('disconnected');
 
+const recoveryReady = recoverInterruptedTasks().catch((error) => {
+  console.warn('[Scraper] Restart recovery failed:', error.message);
+});
+
 // Load config from storage on startup
-chrome.storage.local.get(['scraperConfig'], (result) => {
+chrome.storage.local.get(['scraperConfig'], async (result) => {
+  await recoveryReady;
   if (result.scraperConfig) {
     config = { ...config, ...result.scraperConfig };
     if (config.enabled) {
@@ -111,12 +160,14 @@ chrome.storage.local.get(['scraperConfig'], (result) => {
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
     case 'GET_STATUS':
-      sendResponse({ config, stats, isProcessing });
+      sendResponse({ config, stats, isProcessing: activeTasks.size > 0, pool: getPoolStatus(), host: hostInfo });
       break;
 
     case 'UPDATE_CONFIG':
       config = { ...config, ...message.config };
       chrome.storage.local.set({ scraperConfig: config });
+      drainTaskQueue();
+      announceCapacity();
       broadcastStatus();
       sendResponse({ success: true });
       break;
@@ -158,7 +209,8 @@ function broadcastStatus() {
     type: 'STATUS_UPDATE',
     config,
     stats,
-    isProcessing,
+    isProcessing: activeTasks.size > 0,
+    pool: getPoolStatus(),
   }).catch(() => {
     // Popup might not be open
   });
@@ -172,6 +224,8 @@ function connectToNativeHost() {
 
   console.log('[Scraper] Connecting to native host:', NATIVE_HOST_NAME);
   stats.connectionState = 'connecting';
+  stats.legacyHost = false;
+  stats.hostError = null;
   broadcastStatus();
 
   try {
@@ -195,9 +249,26 @@ function connectToNativeHost() {
       }
     });
 
-    // Native host starts HTTP server automatically on connection
-    stats.connectionState = 'connected';
-    broadcastStatus();
+    // connectNative succeeds even when the host fails to start, so stay "connecting"
+    // until the host accepts the handshake. A host that is still running but never
+    // answers predates HELLO; it still serves SCRAPE commands, so fall back to those.
+    hostInfo = null;
+    sendHello();
+    const port = nativePort;
+    setTimeout(() => {
+      if (nativePort === port && stats.connectionState === 'connecting') {
+        console.warn('[Scraper] No HELLO_ACK after', HOST_ACK_TIMEOUT, 'ms - assuming a legacy native host');
+        hostInfo = {
+          version: null,
+          protocolVersion: null,
+          capabilities: LEGACY_HOST_CAPABILITIES,
+          urlPolicy: DEFAULT_URL_POLICY,
+          legacy: true,
+        };
+        stats.legacyHost = true;
+        markHostConnected();
+      }
+    }, HOST_ACK_TIMEOUT);
 
   } catch (error) {
     console.error('[Scraper] Failed to connect to native host:', error);
@@ -206,6 +277,72 @@ function connectToNativeHost() {
   }
 }
 
+function sendHello() {
+  sendToNativeHost({
+    type: 'HELLO',
+    protocolVersion: PROTOCOL_VERSION,
+    extensionVersion: chrome.runtime.getManifest().version,
+    capabilities: {
+      encodings: ['gzip+base64', 'utf8', 'base64'],
+      chunkedTransfer: true,
+      maxConcurrency: getPoolSize(),
+      options: SUPPORTED_SCRAPE_OPTIONS,
+      pageActions: PAGE_ACTION_TYPES,
+      blockPresets: Object.keys(BLOCK_PRESETS),
+    },
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function handleHelloAck(message) {
+  hostInfo = {
+    version: message.hostVersion,
+    protocolVersion: message.protocolVersion,
+    capabilities: message.capabilities || {},
+    urlPolicy: message.urlPolicy || DEFAULT_URL_POLICY,
+  };
+
+  if (!message.accepted) {
+    console.error('[Scraper] Native host refused handshake:', message.error);
+    hostInfo.error = message.error;
+    disconnectFromNativeHost();
+    // Not retried automatically: reconnecting cannot help until one side is updated
+    stats.connectionState = 'incompatible';
+    stats.hostError = message.error || 'Native host refused the handshake';
+    broadcastStatus();
+    return;
+  }
+
+  console.log('[Scraper] Handshake with native host', hostInfo.version, 'protocol', hostInfo.protocolVersion);
+  // A slow host can answer after the legacy fallback kicked in
+  const wasLegacy = stats.legacyHost;
+  stats.legacyHost = false;
+  markHostConnected();
+  if (wasLegacy) {
+    broadcastStatus();
+  }
+}
+
+// Host capabilities from HELLO_ACK; before the handshake everything is assumed supported
+function hostAcceptsEncoding(encoding) {
+  const encodings = hostInfo?.capabilities?.encodings;
+  return !Array.isArray(encodings) || encodings.includes(encoding);
+}
+
+function hostSupportsChunking() {
+  return hostInfo?.capabilities?.chunkedTransfer !== false;
+}
+
+function markHostConnected() {
+  if (stats.connectionState === 'connected') {
+    return;
+  }
+  console.log('[Scraper] Native host acknowledged connection');
+  stats.connectionState = 'connected';
+  broadcastStatus();
+  announceCapacity();
+}
+
 function disconnectFromNativeHost() {
   if (nativePort) {
     nativePort.disconnect();
@@ -218,11 +355,13 @@ function disconnectFromNativeHost() {
 
 async function sendToNativeHost(data) {
   if (nativePort) {
-    const payload = await sanitizeNativeMessage(data);
-    if (!payload) {
+    const frames = await sanitizeNativeMessage(data);
+    if (!frames.length) {
       return false;
     }
-    nativePort.postMessage(payload);
+    for (const frame of frames) {
+      nativePort.postMessage(frame);
+    }
     return true;
   }
   return false;
@@ -230,6 +369,15 @@ async function sendToNativeHost(data) {
 
 const MAX_NATIVE_MESSAGE_BYTES = 900 * 1024;
 const HTML_TRUNCATION_SUFFIX = '\n<!-- truncated -->';
+// Payloads beyond this are still truncated rather than chunked
+const MAX_CHUNKED_PAYLOAD_BYTES = 64 * 1024 * 1024;
+// Chunk sizes in characters: base64 is 1 byte per char, raw text may need up to 6 bytes per char in JSON
+const BASE64_CHUNK_CHARS = 512 * 1024;
+const TEXT_CHUNK_CHARS = 128 * 1024;
+// Base64 attachments on a RESULT; they do not compress, so they are always chunked when too large
+const BINARY_RESULT_FIELDS = ['screenshot_data', 'mhtml_data'];
+// Large text attachments (serialized JSON), gzip-compressed before chunking
+const TEXT_RESULT_FIELDS = ['har_json'];
 
 function utf8ByteLength(value) {
   return new TextEncoder().encode(value).length;
@@ -276,27 +424,140 @@ async function compressToBase64(str) {
     offset += chunk.length;
   }
 
-  // Convert to base64
+  return bytesToBase64(compressed);
+}
+
+function bytesToBase64(bytes) {
   let binary = '';
-  for (let i = 0; i < compressed.length; i++) {
-    binary += String.fromCharCode(compressed[i]);
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
   }
   return btoa(binary);
 }
 
+async function sha256Hex(str) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(str));
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function splitIntoChunks(str, chunkChars) {
+  const chunks = [];
+  let start = 0;
+  while (start < str.length) {
+    let end = Math.min(start + chunkChars, str.length);
+    // Never split a surrogate pair across chunks
+    const lastCode = str.charCodeAt(end - 1);
+    if (end < str.length && lastCode >= 0xd800 && lastCode <= 0xdbff) {
+      end -= 1;
+    }
+    chunks.push(str.slice(start, end));
+    start = end;
+  }
+  return chunks;
+}
+
+// Move one large string field out of a RESULT into sequenced RESULT_CHUNK frames.
+// The RESULT itself is sent last and describes how to reassemble and verify the field.
+async function buildChunkedFrames(message, field, data, encoding) {
+  const { frames, message: result } = await chunkField(message, field, data, encoding);
+  return [...frames, result];
+}
+
+async function chunkField(message, field, data, encoding) {
+  const chunkChars = encoding === 'utf8' ? TEXT_CHUNK_CHARS : BASE64_CHUNK_CHARS;
+  const chunks = splitIntoChunks(data, chunkChars);
+  const frames = chunks.map((chunk, index) => ({
+    type: 'RESULT_CHUNK',
+    taskId: message.taskId,
+    field,
+    index,
+    total: chunks.length,
+    data: chunk,
+  }));
+
+  const result = {
+    ...message,
+    transfer: {
+      ...(message.transfer || {}),
+      [field]: {
+        chunks: chunks.length,
+        encoding,
+        sha256: await sha256Hex(data),
+      },
+    },
+  };
+  delete result[field];
+
+  return { frames, message: result };
+}
+
+// Returns the frames to post for a message: the message itself when it fits,
+// otherwise a compressed or chunked encoding, and truncation as a last resort.
 async function sanitizeNativeMessage(message) {
   const raw = JSON.stringify(message);
   if (utf8ByteLength(raw) <= MAX_NATIVE_MESSAGE_BYTES) {
-    return message;
+    return [message];
+  }
+
+  const attachmentFrames = [];
+  const attachmentFields = [...BINARY_RESULT_FIELDS, ...TEXT_RESULT_FIELDS]
+    .filter((field) => typeof message[field] === 'string' && message[field]);
+
+  if (attachmentFields.length > 0 && !hostSupportsChunking()) {
+    console.warn('[Scraper] Host cannot reassemble chunks, dropping:', attachmentFields);
+    message = { ...message, dropped_fields: attachmentFields };
+    for (const field of attachmentFields) {
+      delete message[field];
+    }
+  }
+
+  for (const field of BINARY_RESULT_FIELDS) {
+    if (typeof message[field] === 'string' && message[field]) {
+      const chunked = await chunkField(message, field, message[field], 'base64');
+      attachmentFrames.push(...chunked.frames);
+      message = chunked.message;
+    }
+  }
+
+  for (const field of TEXT_RESULT_FIELDS) {
+    if (typeof message[field] === 'string' && message[field]) {
+      const chunked = hostAcceptsEncoding('gzip+base64')
+        ? await chunkField(message, field, await compressToBase64(message[field]), 'gzip+base64')
+        : await chunkField(message, field, message[field], 'utf8');
+      attachmentFrames.push(...chunked.frames);
+      message = chunked.message;
+    }
   }
 
+  if (attachmentFrames.length > 0) {
+    console.log('[Scraper] Chunked attachments:', { chunks: attachmentFrames.length });
+    if (utf8ByteLength(JSON.stringify(message)) <= MAX_NATIVE_MESSAGE_BYTES) {
+      return [...attachmentFrames, message];
+    }
+  }
+
+  return [...attachmentFrames, ...(await sanitizeHtmlMessage(message))];
+}
+
+// When the fields besides html are too large on their own, only an error is
+// small enough to send. The host drops oversize frames, which would leave the
+// request waiting until it times out.
+function buildMessageTooLarge(message) {
+  return {
+    type: message.type,
+    taskId: message.taskId,
+    success: false,
+    error: 'Message too large',
+    error_code: 'internal_error',
+  };
+}
+
+async function sanitizeHtmlMessage(message) {
   if (typeof message.html !== 'string') {
     console.warn('[Scraper] Message too large and no html to truncate.');
-    return {
-      ...message,
-      error: 'Message too large',
-      success: false,
-    };
+    return [buildMessageTooLarge(message)];
   }
 
   // Try compression first
@@ -306,8 +567,12 @@ async function sanitizeNativeMessage(message) {
     maxBytes: MAX_NATIVE_MESSAGE_BYTES,
   });
 
+  let compressedBase64 = null;
   try {
-    const compressedBase64 = await compressToBase64(message.html);
+    if (!hostAcceptsEncoding('gzip+base64')) {
+      throw new Error('host does not accept gzip+base64');
+    }
+    compressedBase64 = await compressToBase64(message.html);
     const compressedMessage = {
       ...message,
       html: undefined,
@@ -325,14 +590,33 @@ async function sanitizeNativeMessage(message) {
     });
 
     if (compressedSize <= MAX_NATIVE_MESSAGE_BYTES) {
-      return compressedMessage;
+      return [compressedMessage];
     }
 
-    console.warn('[Scraper] Even compressed message is too large, falling back to truncation');
+    console.log('[Scraper] Compressed message still too large, sending in chunks');
   } catch (compressionError) {
-    console.warn('[Scraper] Compression failed, falling back to truncation:', compressionError.message);
+    console.warn('[Scraper] Compression failed, sending uncompressed chunks:', compressionError.message);
+  }
+
+  const baseMessage = { ...message, original_html_bytes: originalHtmlBytes };
+  delete baseMessage.html;
+  const canChunk = hostSupportsChunking() &&
+    utf8ByteLength(JSON.stringify(baseMessage)) + 1024 <= MAX_NATIVE_MESSAGE_BYTES;
+
+  if (canChunk && compressedBase64 && compressedBase64.length <= MAX_CHUNKED_PAYLOAD_BYTES) {
+    const frames = await buildChunkedFrames(baseMessage, 'html', compressedBase64, 'gzip+base64');
+    console.log('[Scraper] Chunked compressed html:', { chunks: frames.length - 1, originalHtmlBytes });
+    return frames;
+  }
+
+  if (canChunk && !compressedBase64 && originalHtmlBytes <= MAX_CHUNKED_PAYLOAD_BYTES) {
+    const frames = await buildChunkedFrames(baseMessage, 'html', message.html, 'utf8');
+    console.log('[Scraper] Chunked raw html:', { chunks: frames.length - 1, originalHtmlBytes });
+    return frames;
   }
 
+  console.warn('[Scraper] Payload exceeds chunked transfer limit, falling back to truncation');
+
   // Fallback to truncation
   const base = {
     ...message,
@@ -344,7 +628,7 @@ async function sanitizeNativeMessage(message) {
   const remainingBytes = MAX_NATIVE_MESSAGE_BYTES - baseBytes;
   if (remainingBytes <= 0) {
     console.warn('[Scraper] Message too large even after dropping html.');
-    return base;
+    return [buildMessageTooLarge(message)];
   }
 
   const suffixBytes = utf8ByteLength(HTML_TRUNCATION_SUFFIX);
@@ -356,27 +640,32 @@ async function sanitizeNativeMessage(message) {
     maxBytes: MAX_NATIVE_MESSAGE_BYTES,
   });
 
-  return {
+  return [{
     ...message,
     html: truncatedHtml,
     truncated: true,
     original_html_bytes: originalHtmlBytes,
-  };
+  }];
 }
 
 function handleNativeMessage(message) {
   // Native host now sends SCRAPE commands directly (no wrapper)
   switch (message.type) {
+    case 'HELLO_ACK':
+      handleHelloAck(message);
+      break;
+
     case 'SCRAPE':
-      handleScrapeCommand(message);
+      enqueueScrapeTask(message);
       break;
 
     case 'PING':
-      sendToNativeHost({ type: 'PONG', timestamp: new Date().toISOString() });
+      // Heartbeat from the host; the id lets it measure the round trip
+      sendToNativeHost({ type: 'PONG', id: message.id, timestamp: new Date().toISOString() });
       break;
 
     case 'CANCEL':
-      console.log('[Scraper] Cancel requested');
+      cancelScrapeTask(message.taskId, message.reason);
       break;
 
     default:
@@ -384,135 +673,408 @@ function handleNativeMessage(message) {
   }
 }
 
-async function handleScrapeCommand(message) {
-  const { taskId, url, options = {} } = message;
+function getPoolSize() {
+  const size = parseInt(config.maxConcurrency, 10);
+  return Number.isFinite(size) && size > 0 ? size : 1;
+}
 
-  if (!url) {
-    await sendToNativeHost({
-      type: 'RESULT',
-      taskId,
-      success: false,
-      error: 'URL is required',
-      status_code: 0,
-      final_url: url,
-      timestamp: new Date().toISOString(),
+function getPoolStatus() {
+  const size = getPoolSize();
+  return {
+    size,
+    active: activeTasks.size,
+    idle: Math.max(0, size - activeTasks.size),
+    queued: queuedTasks.length,
+  };
+}
+
+function enqueueScrapeTask(message) {
+  queuedTasks.push(message);
+  console.log('[Scraper] Task queued:', message.taskId, 'pool:', getPoolStatus());
+  drainTaskQueue();
+}
+
+// Start queued tasks while there are free slots
+function drainTaskQueue() {
+  while (queuedTasks.length > 0 && activeTasks.size < getPoolSize()) {
+    const message = queuedTasks.shift();
+    activeTasks.set(message.taskId, {
+      taskId: message.taskId,
+      url: message.url,
+      tabId: null,
+      startedAt: Date.now(),
+      controller: new AbortController(),
     });
+    handleScrapeCommand(message).catch((error) => {
+      console.error('[Scraper] Unhandled task failure:', message.taskId, error);
+    });
+  }
+  persistTaskState();
+  broadcastStatus();
+}
+
+// Stop a queued or running task. A running scrape notices the abort at its next
+// wait, reports itself cancelled and releases its slot as usual.
+async function cancelScrapeTask(taskId, reason = 'Cancelled by host') {
+  const queuedIndex = queuedTasks.findIndex((queued) => queued.taskId === taskId);
+  const task = activeTasks.get(taskId);
+
+  if (task) {
+    console.log('[Scraper] Cancelling task:', taskId, reason);
+    task.controller.abort(createCancelledError(reason));
+    if (task.tabId !== null) {
+      chrome.tabs.remove(task.tabId).catch(() => {
+        // Tab might already be closed
+      });
+    }
+    return;
+  }
+
+  // Queued or unknown tasks have nothing to clean up; answer right away so the host frees the slot
+  let url;
+  if (queuedIndex !== -1) {
+    url = queuedTasks.splice(queuedIndex, 1)[0].url;
+    console.log('[Scraper] Cancelled queued task:', taskId, reason);
+    persistTaskState();
+    broadcastStatus();
+  } else {
+    console.log('[Scraper] Cancel for unknown task:', taskId);
+  }
+
+  await sendToNativeHost({
+    type: 'RESULT',
+    taskId,
+    url,
+    final_url: url,
+    success: false,
+    cancelled: true,
+    error: createCancelledError(reason).message,
+    error_code: 'cancelled',
+    status_code: 0,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function createCancelledError(reason) {
+  const error = new Error(`Task cancelled: ${reason}`);
+  error.name = 'AbortError';
+  return error;
+}
+
+// Settle with the cancellation error as soon as the signal aborts, instead of
+// waiting for a step that may only fail at its own timeout
+function untilCancelled(signal, promise) {
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+function releaseTaskSlot(taskId) {
+  activeTasks.delete(taskId);
+  drainTaskQueue();
+}
+
+function persistTaskState() {
+  const state = {
+    active: Array.from(activeTasks.values()).map((task) => ({
+      taskId: task.taskId,
+      url: task.url,
+      tabId: task.tabId,
+      startedAt: task.startedAt,
+    })),
+    queued: queuedTasks.map(({ taskId, url }) => ({ taskId, url })),
+  };
+  chrome.storage.session.set({ [TASK_STATE_KEY]: state }).catch((error) => {
+    console.warn('[Scraper] Failed to persist task state:', error.message);
+  });
+}
+
+function persistStats() {
+  const { totalScraped, errors, lastActivity } = stats;
+  chrome.storage.session.set({ [STATS_KEY]: { totalScraped, errors, lastActivity } }).catch((error) => {
+    console.warn('[Scraper] Failed to persist stats:', error.message);
+  });
+}
+
+// Restore stats and clean up after the tasks the previous service worker left
+// behind. They cannot be resumed or reported: the native port closed with the old
+// worker, so the host has already failed their requests and exited, and the new
+// host has never heard of them. All that is left is closing their tabs; their
+// session rules are removed by sessionRulesReady.
+async function recoverInterruptedTasks() {
+  const stored = await chrome.storage.session.get([TASK_STATE_KEY, STATS_KEY]);
+  if (stored[STATS_KEY]) {
+    Object.assign(stats, stored[STATS_KEY]);
+  }
+
+  const state = stored[TASK_STATE_KEY];
+  if (!state || (state.active.length === 0 && state.queued.length === 0)) {
     return;
   }
+  console.warn('[Scraper] Recovering after restart:', {
+    active: state.active.length,
+    queued: state.queued.length,
+  });
+
+  for (const task of state.active) {
+    if (task.tabId !== null) {
+      try {
+        await chrome.tabs.remove(task.tabId);
+      } catch (e) {
+        // Tab might already be closed
+      }
+    }
+  }
+
+  stats.errors += state.active.length + state.queued.length;
+  persistStats();
+  await chrome.storage.session.remove(TASK_STATE_KEY);
+}
+
+async function handleScrapeCommand(message) {
+  const { taskId, url, options = {} } = message;
+  const policyViolation = url ? checkUrlPolicy(url) : null;
 
-  if (isProcessing) {
+  if (!url || policyViolation) {
+    if (policyViolation) {
+      console.warn('[Scraper] URL policy blocked', url, '-', policyViolation);
+    }
     await sendToNativeHost({
       type: 'RESULT',
       taskId,
       success: false,
-      error: 'Already processing another task',
+      error: policyViolation || 'URL is required',
+      error_code: policyViolation ? 'policy_blocked' : 'invalid_request',
       status_code: 0,
       final_url: url,
       timestamp: new Date().toISOString(),
     });
+    releaseTaskSlot(taskId);
     return;
   }
 
-  isProcessing = true;
-  broadcastStatus();
-
   // Notify native host we're starting
   await sendToNativeHost({
     type: 'STATUS',
     status: 'processing',
     taskId,
+    ...getSlotCounts(),
     timestamp: new Date().toISOString(),
   });
 
+  const startedAt = Date.now();
   let tab = null;
   let statusCode = 200;
   let finalUrl = url;
 
+  const task = activeTasks.get(taskId);
+  const signal = task ? task.controller.signal : new AbortController().signal;
+  const step = (promise) => untilCancelled(signal, promise);
+
   try {
+    // Tabs that need per-task rules start blank so the rules exist before the first request
+    const needsTabSetup = hasTaskRequestSetup(options);
+
     // Create new tab
     tab = await chrome.tabs.create({
-      url,
+      url: needsTabSetup ? 'about:blank' : url,
       active: false,
     });
 
-    await chrome.tabs.update(tab.id, { active: true });
-    if (tab.windowId !== undefined) {
-      await chrome.windows.update(tab.windowId, { focused: true });
+    if (task) {
+      task.tabId = tab.id;
+      persistTaskState();
+    }
+    signal.throwIfAborted();
+
+    if (needsTabSetup) {
+      // Kept on the task so cleanup can wait for a setup that a cancellation cut short
+      task.requestSetup = applyTaskRequestSetup(task, tab.id, url, options);
+      await step(task.requestSetup);
+      persistTaskState();
+      await step(chrome.tabs.update(tab.id, { url }));
     }
 
     // Wait for page to load
     const timeout = options.timeout || config.pageLoadTimeout;
-    const loadResult = await waitForTabLoadWithStatus(tab.id, url, timeout);
+    const loadResult = await step(waitForTabLoadWithStatus(tab.id, url, timeout));
     statusCode = loadResult.statusCode || 200;
 
+    const waits = {};
+    if (task?.requestTracker) {
+      waits.waitUntil = await step(waitForNetworkIdle(
+        task.requestTracker,
+        options.waitUntil,
+        options.waitUntilTimeout || 15000,
+        signal
+      ));
+    }
+
+    if (options.waitForFunction) {
+      waits.waitForFunction = await step(waitForPredicate(
+        tab.id,
+        options.waitForFunction,
+        options.waitForFunctionTimeout || 10000,
+        options.waitForFunctionPollInterval || 250,
+        signal
+      ));
+    }
+
     // Additional wait if specified
     if (options.waitFor) {
-      await sleep(options.waitFor);
+      await step(sleep(options.waitFor));
     } else {
-      await sleep(1000);
+      await step(sleep(1000));
+    }
+
+    let actionReport = null;
+    if (Array.isArray(options.actions) && options.actions.length > 0) {
+      actionReport = await step(runPageActions(tab.id, options.actions, timeout, signal));
+    }
+
+    let autoScrollReport = null;
+    if (options.autoScroll) {
+      // Background tabs do not render, so lazy loaders watching the viewport never fire
+      autoScrollReport = await step(withVisibleTab(tab, () => runAutoScroll(tab.id, options.autoScroll)));
     }
 
     // Get final URL after any redirects
-    const tabInfo = await chrome.tabs.get(tab.id);
+    const tabInfo = await step(chrome.tabs.get(tab.id));
     finalUrl = tabInfo.url || url;
 
-    await chrome.tabs.update(tab.id, { active: true });
-    await sleep(250);
+    // Page actions can navigate anywhere, so check where the tab ended up
+    const finalUrlViolation = checkUrlPolicy(finalUrl);
+    if (finalUrlViolation) {
+      throw createScrapeError('policy_blocked', finalUrlViolation);
+    }
+
+    // MHTML archives the whole tab, so only the waits are needed from getPageContent
+    const isMhtml = options.format === 'mhtml';
 
     // Extract content
-    const content = await getPageContent(tab.id, {
+    const content = await step(withErrorCode('extraction_failed', getPageContent(tab.id, {
       rootSelector: null,
       includeDocument: true,
+      extractHtml: !isMhtml,
       waitForShadowRoots: true,
       shadowRootTimeout: options.shadowRootTimeout || 5000,
       waitForSelector: options.waitForSelector,
       waitForSelectorTimeout: options.waitForSelectorTimeout || 10000,
-      waitForSelectorPollInterval: options.waitForSelectorPollInterval || 250,
-    });
+      debug: options.debug === true,
+    })));
 
-    if (!content?.html) {
-      console.warn('[Scraper] Empty HTML extracted for', finalUrl);
-    } else {
+    if (content?.html) {
       const shadowTemplates = (content.html.match(/shadowroot=/g) || []).length;
       console.log('[Scraper] HTML length:', content.html.length, 'shadow templates:', shadowTemplates);
+    } else if (!isMhtml) {
+      console.warn('[Scraper] Empty HTML extracted for', finalUrl);
     }
 
     if (!content) {
-      throw new Error('Failed to extract page content');
+      throw createScrapeError('extraction_failed', 'Failed to extract page content');
+    }
+    Object.assign(waits, content.readiness);
+
+    let mhtml = null;
+    if (isMhtml) {
+      mhtml = await step(withErrorCode('extraction_failed', capturePageMhtml(tab.id)));
+      console.log('[Scraper] MHTML size:', mhtml.bytes);
+    }
+
+    let extracted = null;
+    if (options.extract) {
+      extracted = await step(withErrorCode('extraction_failed', getStructuredData(tab.id, options.extract)));
+    }
+
+    // Screenshot is taken after extraction so full-page scrolling cannot change the HTML
+    const screenshotOptions = normalizeScreenshotOptions(options.screenshot);
+    let screenshot = null;
+    if (screenshotOptions) {
+      try {
+        screenshot = await step(captureScreenshot(tab, screenshotOptions));
+      } catch (error) {
+        signal.throwIfAborted();
+        console.warn('[Scraper][screenshot] capture failed:', error.message);
+        screenshot = { error: error.message };
+      }
     }
 
+    signal.throwIfAborted();
+    const harJson = await collectNetworkCapture(task);
+    const navigationTiming = await step(getNavigationTiming(tab.id));
+    const meta = {
+      redirects: loadResult.redirects,
+      headers: loadResult.responseHeaders,
+      timing: {
+        ...navigationTiming,
+        extractionDurationMs: content.durationMs,
+        totalMs: Date.now() - startedAt,
+      },
+    };
+
     // Send result
+    const { data: screenshotData, ...screenshotMeta } = screenshot || {};
     await sendToNativeHost({
       type: 'RESULT',
       taskId,
       url,
       final_url: finalUrl,
       success: true,
-      html: content.html,
+      html: isMhtml ? undefined : content.html,
       title: content.title,
       status_code: statusCode,
+      format: isMhtml ? 'mhtml' : undefined,
+      mhtml_data: mhtml?.data,
+      mhtml_bytes: mhtml?.bytes,
+      screenshot: screenshot ? screenshotMeta : undefined,
+      screenshot_data: screenshotData,
+      actions: actionReport || undefined,
+      auto_scroll: autoScrollReport || undefined,
+      blocked: task?.blocked || undefined,
+      har_json: harJson || undefined,
+      meta,
+      waits: Object.keys(waits).length > 0 ? waits : undefined,
+      debug: content.diagnostics || undefined,
+      data: extracted?.data,
+      extract_errors: extracted?.errors?.length ? extracted.errors : undefined,
       timestamp: new Date().toISOString(),
     });
 
     stats.totalScraped++;
     stats.lastActivity = new Date().toISOString();
+    persistStats();
     console.log('[Scraper] Task completed:', taskId, 'status:', statusCode, 'final_url:', finalUrl);
 
   } catch (error) {
-    console.error('[Scraper] Task error:', error.message);
+    if (signal.aborted) {
+      console.log('[Scraper] Task cancelled:', taskId);
+      await sendToNativeHost({
+        type: 'RESULT',
+        taskId,
+        url,
+        final_url: finalUrl,
+        success: false,
+        cancelled: true,
+        error: signal.reason.message,
+        error_code: 'cancelled',
+        status_code: 0,
+        timestamp: new Date().toISOString(),
+      });
+      return;
+    }
+
+    const errorCode = classifyScrapeError(error, statusCode);
+    console.error('[Scraper] Task error:', errorCode, error.message);
     stats.errors++;
     stats.lastActivity = new Date().toISOString();
-
-    let errorStatusCode = 0;
-    if (error.message.includes('net::ERR_')) {
-      errorStatusCode = 0;
-    } else if (error.message.includes('403')) {
-      errorStatusCode = 403;
-    } else if (error.message.includes('404')) {
-      errorStatusCode = 404;
-    } else if (error.message.includes('500')) {
-      errorStatusCode = 500;
-    }
+    persistStats();
 
     await sendToNativeHost({
       type: 'RESULT',
@@ -521,7 +1083,10 @@ async function handleScrapeCommand(message) {
       final_url: finalUrl,
       success: false,
       error: error.message,
-      status_code: errorStatusCode,
+      error_code: errorCode,
+      net_error: error.netError || extractNetError(error.message) || undefined,
+      // Only a main-frame response that was actually received has a status
+      status_code: errorCode === 'http_error' ? statusCode : 0,
       timestamp: new Date().toISOString(),
     });
 
@@ -534,138 +1099,1548 @@ async function handleScrapeCommand(message) {
       }
     }
 
-    isProcessing = false;
-    broadcastStatus();
+    await cleanupTaskRequestSetup(activeTasks.get(taskId));
+    releaseTaskSlot(taskId);
 
-    // Notify native host we're ready again
+    // Notify native host a slot is free again
     await sendToNativeHost({
       type: 'STATUS',
       status: 'ready',
+      ...getSlotCounts(),
       timestamp: new Date().toISOString(),
     });
   }
 }
 
-function waitForTabLoadWithStatus(tabId, targetUrl, timeout) {
-  return new Promise((resolve, reject) => {
-    let statusCode = 200;
-    let webRequestListener = null;
+function getSlotCounts() {
+  return {
+    active: activeTasks.size,
+    capacity: getPoolSize(),
+  };
+}
 
-    const timeoutId = setTimeout(() => {
-      cleanup();
-      reject(new Error('Page load timeout'));
-    }, timeout);
+// Error taxonomy: every failed RESULT carries one of these stable error_code values
+// (plus "cancelled", "policy_blocked" and "invalid_request"), and the raw Chrome net
+// error name when there was one.
+
+const NET_ERROR_CODES = {
+  'net::ERR_NAME_NOT_RESOLVED': 'dns_failure',
+  'net::ERR_NAME_RESOLUTION_FAILED': 'dns_failure',
+  'net::ERR_CONNECTION_REFUSED': 'connection_refused',
+  'net::ERR_CONNECTION_RESET': 'connection_failed',
+  'net::ERR_CONNECTION_CLOSED': 'connection_failed',
+  'net::ERR_CONNECTION_FAILED': 'connection_failed',
+  'net::ERR_ADDRESS_UNREACHABLE': 'connection_failed',
+  'net::ERR_INTERNET_DISCONNECTED': 'connection_failed',
+  'net::ERR_EMPTY_RESPONSE': 'connection_failed',
+  'net::ERR_TIMED_OUT': 'timeout',
+  'net::ERR_CONNECTION_TIMED_OUT': 'timeout',
+  'net::ERR_ABORTED': 'aborted',
+  'net::ERR_BLOCKED_BY_CLIENT': 'blocked_by_client',
+  'net::ERR_BLOCKED_BY_ADMINISTRATOR': 'blocked_by_client',
+  'net::ERR_HTTP_RESPONSE_CODE_FAILURE': 'http_error',
+};
 
-    const cleanup = () => {
-      clearTimeout(timeoutId);
-      chrome.tabs.onUpdated.removeListener(tabListener);
-      if (webRequestListener && chrome.webRequest) {
-        chrome.webRequest.onHeadersReceived.removeListener(webRequestListener);
-      }
-    };
+function classifyNetError(netError) {
+  if (NET_ERROR_CODES[netError]) {
+    return NET_ERROR_CODES[netError];
+  }
+  if (/^net::ERR_DNS_/.test(netError)) {
+    return 'dns_failure';
+  }
+  if (/^net::ERR_(CERT_|SSL_|BAD_SSL_)/.test(netError)) {
+    return 'tls_error';
+  }
+  return 'network_error';
+}
 
-    if (chrome.webRequest) {
-      webRequestListener = (details) => {
-        if (details.tabId === tabId && details.type === 'main_frame') {
-          statusCode = details.statusCode;
-          console.log('[Scraper] Captured status code:', statusCode, 'for URL:', details.url);
-        }
-      };
+function extractNetError(message) {
+  return (message.match(/net::ERR_[A-Z0-9_]+/) || [])[0] || null;
+}
 
-      chrome.webRequest.onHeadersReceived.addListener(
-        webRequestListener,
-        { urls: ['<all_urls>'], tabId: tabId },
-        []
-      );
-    }
+function createScrapeError(code, message, { netError } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  if (netError) {
+    error.netError = netError;
+  }
+  return error;
+}
 
-    const tabListener = (updatedTabId, changeInfo) => {
-      if (updatedTabId === tabId && changeInfo.status === 'complete') {
-        cleanup();
-        resolve({ statusCode });
-      }
-    };
+// Tag a step's failures with an error_code unless they already carry one
+function withErrorCode(code, promise) {
+  return promise.catch((error) => {
+    if (!error.code) {
+      error.code = code;
+    }
+    throw error;
+  });
+}
 
-    chrome.tabs.onUpdated.addListener(tabListener);
+// Network failures win, then an HTTP error status on the main document (the page
+// failing is the likely cause of anything that went wrong afterwards)
+function classifyScrapeError(error, statusCode) {
+  // A blocked navigation explains any status or network error that came with it
+  if (error.code === 'policy_blocked') {
+    return error.code;
+  }
+  const netError = error.netError || extractNetError(error.message);
+  if (netError) {
+    return classifyNetError(netError);
+  }
+  if (statusCode >= 400) {
+    return 'http_error';
+  }
+  if (error.code) {
+    return error.code;
+  }
+  return /timeout|timed out/i.test(error.message) ? 'timeout' : 'internal_error';
+}
 
-    chrome.tabs.get(tabId, (tab) => {
-      if (chrome.runtime.lastError) {
-        cleanup();
-        reject(new Error('Tab not found'));
-        return;
-      }
-      if (tab && tab.status === 'complete') {
-        cleanup();
-        resolve({ statusCode });
-      }
-    });
-  });
+// URL policy: the host checks the requested URL (including a DNS lookup) before
+// queueing, and the extension re-checks it. While the task runs, session rules on
+// its tab block requests to denied domains and to private addresses written as
+// IPs or localhost before they are sent, redirects included. A name that only
+// resolves to a private address cannot be matched by a rule: the extension sees
+// the address Chrome connected to and fails the scrape, but by then the request
+// has been made.
+
+// IPv4 ranges that are not on the public internet: [network, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+];
+
+function getUrlPolicy() {
+  return hostInfo?.urlPolicy || DEFAULT_URL_POLICY;
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
 }
 
-async function getPageContent(tabId, options = {}) {
-  console.log('[Scraper] getPageContent start', {
-    tabId,
-    hasWaitForSelector: Boolean(options.waitForSelector),
-    hasWaitForShadowRoots: Boolean(options.waitForShadowRoots),
+function isPrivateAddress(address) {
+  const lower = address.toLowerCase();
+  // IPv4 itself, or embedded in IPv4-mapped (::ffff:), IPv4-compatible (::) or NAT64
+  // (64:ff9b::) form. URL parsing rewrites ::ffff:10.0.0.1 as ::ffff:a00:1.
+  const ipv4 = lower.match(/^(?:::ffff:|::|64:ff9b::)?(\d+\.\d+\.\d+\.\d+)$/);
+  const embeddedHex = lower.match(/^(?:::ffff:|::|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (ipv4 || embeddedHex) {
+    const value = ipv4
+      ? ipv4ToNumber(ipv4[1])
+      : parseInt(embeddedHex[1], 16) * 65536 + parseInt(embeddedHex[2], 16);
+    return PRIVATE_IPV4_RANGES.some(([network, bits]) => {
+      const start = ipv4ToNumber(network);
+      return value >= start && value < start + 2 ** (32 - bits);
+    });
+  }
+  if (!lower.includes(':')) {
+    return false;
+  }
+  // Loopback, unspecified, fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+  return lower === '::1' || lower === '::' ||
+    /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('ff');
+}
+
+// "example.com" matches only that host; "*.example.com" matches its subdomains
+function matchesDomain(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+// Returns why the URL is not allowed, or null
+function checkUrlPolicy(url) {
+  const policy = getUrlPolicy();
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return 'Invalid URL';
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, '');
+  if (!policy.allowedSchemes.includes(scheme)) {
+    return `Scheme not allowed: ${scheme}`;
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (policy.denyDomains.some((pattern) => matchesDomain(hostname, pattern))) {
+    return `Domain denied by policy: ${hostname}`;
+  }
+  if (policy.allowDomains.length > 0 &&
+      !policy.allowDomains.some((pattern) => matchesDomain(hostname, pattern))) {
+    return `Domain not in allowlist: ${hostname}`;
+  }
+
+  if (policy.blockPrivateNetworks &&
+      (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname))) {
+    return `Private network address not allowed: ${hostname}`;
+  }
+
+  return null;
+}
+
+// Checks the address Chrome connected to for a main-frame response
+function checkServerAddress(url, ip) {
+  if (!ip || !getUrlPolicy().blockPrivateNetworks || !isPrivateAddress(ip)) {
+    return null;
+  }
+  return `Private network address not allowed: ${new URL(url).hostname} resolved to ${ip}`;
+}
+
+// Above the task's own block and header rules, so those cannot override the policy
+const URL_POLICY_RULE_PRIORITY = 5;
+
+const NAVIGATION_RESOURCE_TYPES = ['main_frame', 'sub_frame'];
+
+// Private IP literals as they appear in a canonical URL (Chrome normalizes forms
+// like http://2130706433/ to http://127.0.0.1/ before rules are matched)
+const PRIVATE_HOST_REGEX = '^[a-z][a-z0-9+.-]*://([^/@]*@)?(' + [
+  '(0|10|127)(\\.[0-9]+){3}',
+  '100\\.(6[4-9]|[7-9][0-9]|1[01][0-9]|12[0-7])(\\.[0-9]+){2}',
+  '169\\.254(\\.[0-9]+){2}',
+  '172\\.(1[6-9]|2[0-9]|3[01])(\\.[0-9]+){2}',
+  '192\\.0\\.0\\.[0-9]+',
+  '192\\.168(\\.[0-9]+){2}',
+  '198\\.1[89](\\.[0-9]+){2}',
+  '(22[4-9]|2[3-5][0-9])(\\.[0-9]+){3}',
+  // Bracketed IPv6: everything under ::/96 (loopback, unspecified, IPv4-mapped and
+  // -compatible), NAT64, unique local, link-local and multicast. Rules cannot decode
+  // the embedded IPv4, so NAT64 and mapped literals are blocked whatever they hold.
+  '\\[(::[0-9a-f:.]*|64:ff9b::[0-9a-f:.]+|f[c-f][0-9a-f]*:[0-9a-f:.]*)\\]',
+].join('|') + ')(:[0-9]+)?([/?#]|$)';
+
+// Same matching as matchesDomain: "*.example.com" only matches subdomains
+function domainPatternToRegex(pattern) {
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const host = pattern.startsWith('*.')
+    ? `[^/?#@:]+\\.${escape(pattern.slice(2))}`
+    : escape(pattern);
+  return `^[a-z][a-z0-9+.-]*://([^/@]*@)?${host}(:[0-9]+)?([/?#]|$)`;
+}
+
+function urlPolicyNeedsRules() {
+  const policy = getUrlPolicy();
+  return policy.blockPrivateNetworks || policy.denyDomains.length > 0 || policy.allowDomains.length > 0;
+}
+
+// Block rules enforcing the URL policy on the task's tab before requests are sent.
+// The allowlist is enforced per registrable domain (subdomains of an allowed
+// domain get through the rule); checkUrlPolicy still applies the exact patterns.
+function buildUrlPolicyRules(tabId) {
+  const policy = getUrlPolicy();
+  const rules = [];
+  const block = (condition) => rules.push({
+    priority: URL_POLICY_RULE_PRIORITY,
+    action: { type: 'block' },
+    condition: { tabIds: [tabId], ...condition },
+  });
+
+  if (policy.blockPrivateNetworks) {
+    // Also matches *.localhost
+    block({ requestDomains: ['localhost'], resourceTypes: ALL_RESOURCE_TYPES });
+    block({ regexFilter: PRIVATE_HOST_REGEX, isUrlFilterCaseSensitive: false, resourceTypes: ALL_RESOURCE_TYPES });
+  }
+
+  for (const pattern of policy.denyDomains) {
+    block({
+      regexFilter: domainPatternToRegex(pattern),
+      isUrlFilterCaseSensitive: false,
+      resourceTypes: NAVIGATION_RESOURCE_TYPES,
+    });
+  }
+
+  if (policy.allowDomains.length > 0) {
+    block({
+      excludedRequestDomains: policy.allowDomains.map((pattern) => pattern.replace(/^\*\./, '')),
+      resourceTypes: NAVIGATION_RESOURCE_TYPES,
+    });
+  }
+
+  return rules;
+}
+
+// Per-task request setup: session rules scoped to the task's tab. Headers and
+// cookies are added to the tab's requests, never to the browser's cookie store,
+// so parallel tasks and the user's own browsing never see them.
+
+const ALL_RESOURCE_TYPES = [
+  'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+  'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'webtransport',
+  'webbundle', 'other',
+];
+
+// Every type except the page itself, for rules that must never block the scraped document
+const SUBRESOURCE_TYPES = ALL_RESOURCE_TYPES.filter((type) => type !== 'main_frame');
+
+const RESOURCE_TYPE_ALIASES = {
+  css: 'stylesheet',
+  xhr: 'xmlhttprequest',
+  fetch: 'xmlhttprequest',
+  frame: 'sub_frame',
+  iframe: 'sub_frame',
+};
+
+// Named domain lists usable in options.block.presets (subdomains match too)
+const BLOCK_PRESETS = {
+  'ads-trackers': [
+    'doubleclick.net', 'googlesyndication.com', 'googleadservices.com', 'adservice.google.com',
+    'google-analytics.com', 'googletagmanager.com', 'googletagservices.com',
+    'amazon-adsystem.com', 'adnxs.com', 'adsrvr.org', 'criteo.com', 'criteo.net',
+    'taboola.com', 'outbrain.com', 'pubmatic.com', 'rubiconproject.com', 'openx.net',
+    'casalemedia.com', 'bidswitch.net', 'media.net', 'moatads.com', 'doubleverify.com',
+    'adsafeprotected.com', 'scorecardresearch.com', 'quantserve.com', 'chartbeat.com',
+    'chartbeat.net', 'hotjar.com', 'fullstory.com', 'mouseflow.com', 'crazyegg.com',
+    'clarity.ms', 'bat.bing.com', 'connect.facebook.net', 'ads-twitter.com',
+    'analytics.twitter.com', 'mixpanel.com', 'cdn.segment.com', 'api.segment.io',
+    'nr-data.net', 'mc.yandex.ru',
+  ],
+};
+
+let nextSessionRuleId = 1;
+
+// Session rules survive a service worker restart; rules left by a previous run belong to dead tasks
+const sessionRulesReady = chrome.declarativeNetRequest.getSessionRules().then((rules) => {
+  if (rules.length > 0) {
+    console.log('[Scraper] Removing', rules.length, 'orphaned session rules');
+    return chrome.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: rules.map((rule) => rule.id),
+    });
+  }
+}).catch((error) => {
+  console.warn('[Scraper] Failed to clear session rules:', error.message);
+});
+
+function hasTaskRequestSetup(options) {
+  const hasHeaders = options.headers && Object.keys(options.headers).length > 0;
+  const hasCookies = options.cookies && Object.keys(options.cookies).length > 0;
+  return Boolean(hasHeaders || hasCookies || options.block || options.captureNetwork ||
+    NETWORK_IDLE_CONDITIONS[options.waitUntil] !== undefined || urlPolicyNeedsRules());
+}
+
+// Build block rules for options.block = {resourceTypes, urlPatterns, presets}
+function buildBlockRules(tabId, block) {
+  const rules = [];
+
+  const resourceTypes = [...new Set((block.resourceTypes || [])
+    .map((type) => RESOURCE_TYPE_ALIASES[type] || type))];
+  const unknownType = resourceTypes.find((type) => !SUBRESOURCE_TYPES.includes(type));
+  if (unknownType) {
+    throw createScrapeError('invalid_request', `Unknown resource type to block: ${unknownType}`);
+  }
+  if (resourceTypes.length > 0) {
+    rules.push({
+      priority: 2,
+      action: { type: 'block' },
+      condition: { tabIds: [tabId], resourceTypes },
+    });
+  }
+
+  for (const preset of block.presets || []) {
+    const domains = BLOCK_PRESETS[preset];
+    if (!domains) {
+      throw createScrapeError(
+        'invalid_request',
+        `Unknown block preset: ${preset} (available: ${Object.keys(BLOCK_PRESETS).join(', ')})`
+      );
+    }
+    rules.push({
+      priority: 2,
+      action: { type: 'block' },
+      condition: { tabIds: [tabId], requestDomains: domains, resourceTypes: SUBRESOURCE_TYPES },
+    });
+  }
+
+  for (const urlFilter of block.urlPatterns || []) {
+    rules.push({
+      priority: 2,
+      action: { type: 'block' },
+      condition: { tabIds: [tabId], urlFilter, resourceTypes: SUBRESOURCE_TYPES },
+    });
+  }
+
+  return rules;
+}
+
+// Count requests in the tab that failed because a rule blocked them
+function startBlockedRequestCounter(task, tabId) {
+  task.blocked = { total: 0, byType: {} };
+  task.blockedListener = (details) => {
+    if (details.tabId === tabId && details.error === 'net::ERR_BLOCKED_BY_CLIENT') {
+      task.blocked.total++;
+      task.blocked.byType[details.type] = (task.blocked.byType[details.type] || 0) + 1;
+    }
+  };
+  chrome.webRequest.onErrorOccurred.addListener(
+    task.blockedListener,
+    { urls: ['<all_urls>'], tabId }
+  );
+}
+
+// Accepts [{name, value, domain, url, secure}] or {name: value}. Cookies without a
+// domain or url are sent to the scraped URL's host.
+function normalizeTaskCookies(cookies, targetUrl) {
+  const list = Array.isArray(cookies)
+    ? cookies
+    : Object.entries(cookies || {}).map(([name, value]) => ({ name, value }));
+
+  return list.map((cookie) => {
+    const name = String(cookie.name);
+    const value = String(cookie.value ?? '');
+    if (/[\s;,=]/.test(name) || /[;\r\n]/.test(value)) {
+      throw createScrapeError('invalid_request', `Invalid cookie ${name}: names and values cannot contain ";" or line breaks`);
+    }
+
+    const domain = cookie.domain
+      ? cookie.domain.replace(/^\./, '')
+      : new URL(cookie.url || targetUrl).hostname;
+
+    return { name, value, domain: domain.toLowerCase(), secure: cookie.secure === true };
+  });
+}
+
+// One rule per domain appending the task's cookies to the Cookie header the
+// browser sends, so the site's own cookies still go along
+function buildCookieRules(tabId, cookies) {
+  const groups = new Map();
+  for (const cookie of cookies) {
+    const key = `${cookie.domain}|${cookie.secure}`;
+    if (!groups.has(key)) {
+      groups.set(key, { domain: cookie.domain, secure: cookie.secure, pairs: [] });
+    }
+    groups.get(key).pairs.push(`${cookie.name}=${cookie.value}`);
+  }
+
+  return Array.from(groups.values()).map(({ domain, secure, pairs }) => ({
+    priority: 1,
+    action: {
+      type: 'modifyHeaders',
+      requestHeaders: [{ header: 'cookie', operation: 'append', value: pairs.join('; ') }],
+    },
+    condition: {
+      tabIds: [tabId],
+      requestDomains: [domain],
+      resourceTypes: ALL_RESOURCE_TYPES,
+      ...(secure ? { urlFilter: '|https://' } : {}),
+    },
+  }));
+}
+
+async function addTaskSessionRules(task, rules) {
+  await sessionRulesReady;
+  const withIds = rules.map((rule) => ({ ...rule, id: nextSessionRuleId++ }));
+  await chrome.declarativeNetRequest.updateSessionRules({ addRules: withIds });
+  task.sessionRuleIds.push(...withIds.map((rule) => rule.id));
+}
+
+async function applyTaskRequestSetup(task, tabId, targetUrl, options) {
+  task.sessionRuleIds = task.sessionRuleIds || [];
+
+  const policyRules = buildUrlPolicyRules(tabId);
+  if (policyRules.length > 0) {
+    await addTaskSessionRules(task, policyRules);
+    console.log('[Scraper] Applied', policyRules.length, 'URL policy rules to tab', tabId);
+  }
+
+  if (options.block) {
+    const blockRules = buildBlockRules(tabId, options.block);
+    if (blockRules.length > 0) {
+      startBlockedRequestCounter(task, tabId);
+      await addTaskSessionRules(task, blockRules);
+      console.log('[Scraper] Applied', blockRules.length, 'block rules to tab', tabId);
+    }
+  }
+
+  if (options.captureNetwork) {
+    await startNetworkCapture(task, tabId, options.captureNetwork);
+  }
+
+  // Counting starts before navigation so requests issued during load are known
+  if (NETWORK_IDLE_CONDITIONS[options.waitUntil] !== undefined) {
+    task.requestTracker = startRequestTracker(tabId, NETWORK_IDLE_CONDITIONS[options.waitUntil]);
+  }
+
+  // Headers often carry credentials, so they only go to the scraped URL's host
+  // (and its subdomains) or to the domains listed in headerDomains
+  const headers = Object.entries(options.headers || {});
+  if (headers.length > 0) {
+    const headerDomains = Array.isArray(options.headerDomains) && options.headerDomains.length > 0
+      ? options.headerDomains.map((domain) => String(domain).replace(/^\./, '').toLowerCase())
+      : [new URL(targetUrl).hostname];
+    await addTaskSessionRules(task, [{
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders: headers.map(([header, value]) => ({
+          header,
+          operation: 'set',
+          value: String(value),
+        })),
+      },
+      condition: {
+        tabIds: [tabId],
+        requestDomains: headerDomains,
+        resourceTypes: ALL_RESOURCE_TYPES,
+      },
+    }]);
+    console.log('[Scraper] Applied', headers.length, 'request headers for', headerDomains.join(', '), 'to tab', tabId);
+  }
+
+  const cookies = normalizeTaskCookies(options.cookies, targetUrl);
+  if (cookies.length > 0) {
+    await addTaskSessionRules(task, buildCookieRules(tabId, cookies));
+    console.log('[Scraper] Applied', cookies.length, 'cookies to tab', tabId);
+  }
+}
+
+// Undo everything applyTaskRequestSetup did; errors are logged so cleanup always finishes
+async function cleanupTaskRequestSetup(task) {
+  if (!task) {
+    return;
+  }
+
+  // A cancelled task stops waiting for its setup, but the setup itself keeps going;
+  // let it finish so nothing it adds afterwards is left behind
+  if (task.requestSetup) {
+    await task.requestSetup.catch(() => {});
+    task.requestSetup = null;
+  }
+
+  if (task.networkCapture) {
+    await task.networkCapture.stop();
+    task.networkCapture = null;
+  }
+
+  if (task.requestTracker) {
+    task.requestTracker.stop();
+    task.requestTracker = null;
+  }
+
+  if (task.blockedListener) {
+    chrome.webRequest.onErrorOccurred.removeListener(task.blockedListener);
+    task.blockedListener = null;
+  }
+
+  if (task.sessionRuleIds?.length) {
+    try {
+      await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: task.sessionRuleIds });
+    } catch (error) {
+      console.warn('[Scraper] Failed to remove session rules:', error.message);
+    }
+    task.sessionRuleIds = [];
+  }
+}
+
+// Network capture: records the scrape tab's requests and exports them as HAR 1.2.
+// webRequest is used by default; response bodies need the debugger protocol.
+
+// Accepts true or {urlPatterns, resourceTypes, includeBodies, maxBodyBytes, maxEntries}
+function normalizeCaptureOptions(value) {
+  const options = value === true ? {} : value;
+  return {
+    urlPatterns: (options.urlPatterns || []).map(globToRegExp),
+    resourceTypes: (options.resourceTypes || []).map((type) => RESOURCE_TYPE_ALIASES[type] || type),
+    includeBodies: options.includeBodies === true,
+    maxBodyBytes: parseInt(options.maxBodyBytes, 10) || 1024 * 1024,
+    maxEntries: parseInt(options.maxEntries, 10) || 1000,
+  };
+}
+
+// "*" matches anything; patterns without "*" match as substrings
+function globToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(pattern.includes('*') ? `^${escaped}$` : escaped);
+}
+
+function shouldCaptureRequest(capture, url, type) {
+  if (capture.resourceTypes.length > 0 && !capture.resourceTypes.includes(type)) {
+    return false;
+  }
+  return capture.urlPatterns.length === 0 || capture.urlPatterns.some((regex) => regex.test(url));
+}
+
+async function startNetworkCapture(task, tabId, value) {
+  const capture = normalizeCaptureOptions(value);
+  // The service worker has no user gesture to prompt with; the popup asks for it
+  if (capture.includeBodies && !(await chrome.permissions.contains({ permissions: ['debugger'] }))) {
+    throw createScrapeError(
+      'invalid_request',
+      'captureNetwork.includeBodies needs the optional "debugger" permission; allow it from the extension popup'
+    );
+  }
+  task.networkCapture = capture.includeBodies
+    ? await startDebuggerCapture(tabId, capture)
+    : startWebRequestCapture(tabId, capture);
+  console.log('[Scraper][network] capture started for tab', tabId, { includeBodies: capture.includeBodies });
+}
+
+function startWebRequestCapture(tabId, capture) {
+  const pending = new Map();
+  const records = [];
+  const filter = { urls: ['<all_urls>'], tabId };
+
+  const finish = (details, fields) => {
+    const record = pending.get(details.requestId);
+    if (!record) {
+      return;
+    }
+    pending.delete(details.requestId);
+    Object.assign(record, fields, { finishedAt: details.timeStamp });
+    records.push(record);
+  };
+
+  const listeners = {
+    onBeforeRequest: (details) => {
+      if (records.length + pending.size >= capture.maxEntries ||
+        !shouldCaptureRequest(capture, details.url, details.type)) {
+        return;
+      }
+      pending.set(details.requestId, {
+        url: details.url,
+        method: details.method,
+        type: details.type,
+        startedAt: details.timeStamp,
+        requestHeaders: [],
+        responseHeaders: [],
+      });
+    },
+    onSendHeaders: (details) => {
+      const record = pending.get(details.requestId);
+      if (record) {
+        record.requestHeaders = details.requestHeaders || [];
+        record.sentAt = details.timeStamp;
+      }
+    },
+    onHeadersReceived: (details) => {
+      const record = pending.get(details.requestId);
+      if (record) {
+        record.status = details.statusCode;
+        record.statusText = (details.statusLine || '').split(' ').slice(2).join(' ');
+        record.httpVersion = (details.statusLine || '').split(' ')[0] || '';
+        record.responseHeaders = details.responseHeaders || [];
+        record.headersAt = details.timeStamp;
+      }
+    },
+    // Redirects keep the requestId, so the hop is finished before the next one starts
+    onBeforeRedirect: (details) => finish(details, {
+      status: details.statusCode,
+      redirectURL: details.redirectUrl,
+      serverIPAddress: details.ip,
+    }),
+    onCompleted: (details) => finish(details, {
+      status: details.statusCode,
+      fromCache: details.fromCache,
+      serverIPAddress: details.ip,
+    }),
+    onErrorOccurred: (details) => finish(details, { error: details.error }),
+  };
+
+  const extraInfo = {
+    onSendHeaders: ['requestHeaders', 'extraHeaders'],
+    onHeadersReceived: ['responseHeaders', 'extraHeaders'],
+  };
+  for (const [event, listener] of Object.entries(listeners)) {
+    chrome.webRequest[event].addListener(listener, filter, extraInfo[event]);
+  }
+
+  return {
+    records,
+    async stop() {
+      for (const [event, listener] of Object.entries(listeners)) {
+        chrome.webRequest[event].removeListener(listener);
+      }
+      // Requests still open at extraction time are exported without a response
+      records.push(...pending.values());
+      pending.clear();
+    },
+  };
+}
+
+const DEBUGGER_RESOURCE_TYPES = {
+  Document: 'main_frame',
+  Stylesheet: 'stylesheet',
+  Image: 'image',
+  Media: 'media',
+  Font: 'font',
+  Script: 'script',
+  XHR: 'xmlhttprequest',
+  Fetch: 'xmlhttprequest',
+  WebSocket: 'websocket',
+  Ping: 'ping',
+  CSPViolationReport: 'csp_report',
+};
+
+async function startDebuggerCapture(tabId, capture) {
+  const target = { tabId };
+  const pending = new Map();
+  const records = [];
+  const bodyReads = [];
+  let attached = true;
+
+  await chrome.debugger.attach(target, '1.3');
+  await chrome.debugger.sendCommand(target, 'Network.enable', {
+    maxResourceBufferSize: capture.maxBodyBytes,
+  });
+
+  // CDP timestamps are monotonic seconds; convert them relative to the request's wall time
+  const toEpoch = (record, timestamp) => record.startedAt + (timestamp - record.monotonicStart) * 1000;
+
+  const finish = (requestId, timestamp, fields) => {
+    const record = pending.get(requestId);
+    if (!record) {
+      return null;
+    }
+    pending.delete(requestId);
+    Object.assign(record, fields, { finishedAt: toEpoch(record, timestamp) });
+    records.push(record);
+    return record;
+  };
+
+  const applyResponse = (record, response, timestamp) => {
+    record.status = response.status;
+    record.statusText = response.statusText;
+    record.httpVersion = response.protocol || '';
+    record.mimeType = response.mimeType;
+    record.serverIPAddress = response.remoteIPAddress;
+    record.fromCache = response.fromDiskCache;
+    record.responseHeaders = Object.entries(response.headers || {}).map(([name, value]) => ({ name, value }));
+    record.headersAt = toEpoch(record, timestamp);
+  };
+
+  const onEvent = (source, method, params) => {
+    if (source.tabId !== tabId) {
+      return;
+    }
+
+    if (method === 'Network.requestWillBeSent') {
+      if (params.redirectResponse && pending.has(params.requestId)) {
+        applyResponse(pending.get(params.requestId), params.redirectResponse, params.timestamp);
+        finish(params.requestId, params.timestamp, { redirectURL: params.request.url });
+      }
+
+      const type = DEBUGGER_RESOURCE_TYPES[params.type] || 'other';
+      if (records.length + pending.size >= capture.maxEntries ||
+        !shouldCaptureRequest(capture, params.request.url, type)) {
+        return;
+      }
+      pending.set(params.requestId, {
+        url: params.request.url,
+        method: params.request.method,
+        type,
+        startedAt: params.wallTime * 1000,
+        monotonicStart: params.timestamp,
+        sentAt: params.wallTime * 1000,
+        requestHeaders: Object.entries(params.request.headers || {}).map(([name, value]) => ({ name, value })),
+        responseHeaders: [],
+      });
+    } else if (method === 'Network.responseReceived') {
+      const record = pending.get(params.requestId);
+      if (record) {
+        applyResponse(record, params.response, params.timestamp);
+      }
+    } else if (method === 'Network.loadingFinished') {
+      const record = finish(params.requestId, params.timestamp, { encodedBytes: params.encodedDataLength });
+      if (record && attached) {
+        bodyReads.push(
+          chrome.debugger.sendCommand(target, 'Network.getResponseBody', { requestId: params.requestId })
+            .then(({ body, base64Encoded }) => {
+              if (body.length <= capture.maxBodyBytes) {
+                record.body = body;
+                record.bodyEncoding = base64Encoded ? 'base64' : undefined;
+              } else {
+                record.bodyOmitted = 'too large';
+              }
+            })
+            .catch((error) => {
+              record.bodyOmitted = error.message;
+            })
+        );
+      }
+    } else if (method === 'Network.loadingFailed') {
+      finish(params.requestId, params.timestamp, { error: params.errorText });
+    }
+  };
+
+  chrome.debugger.onEvent.addListener(onEvent);
+
+  return {
+    records,
+    async stop() {
+      await Promise.allSettled(bodyReads);
+      chrome.debugger.onEvent.removeListener(onEvent);
+      attached = false;
+      records.push(...pending.values());
+      pending.clear();
+      try {
+        await chrome.debugger.detach(target);
+      } catch (e) {
+        // Detached already when the tab closed
+      }
+    },
+  };
+}
+
+function toHarEntry(record) {
+  let queryString = [];
+  try {
+    queryString = [...new URL(record.url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    // Non-standard URL without a query string
+  }
+
+  const sentAt = record.sentAt ?? record.startedAt;
+  const headersAt = record.headersAt ?? record.finishedAt ?? sentAt;
+  const finishedAt = record.finishedAt ?? headersAt;
+  const mimeType = record.mimeType ||
+    record.responseHeaders.find((header) => header.name.toLowerCase() === 'content-type')?.value || '';
+
+  const content = {
+    size: record.body !== undefined ? record.body.length : 0,
+    mimeType,
+  };
+  if (record.body !== undefined) {
+    content.text = record.body;
+    if (record.bodyEncoding) {
+      content.encoding = record.bodyEncoding;
+    }
+  } else if (record.bodyOmitted) {
+    content.comment = `Body not captured: ${record.bodyOmitted}`;
+  }
+
+  const entry = {
+    startedDateTime: new Date(record.startedAt).toISOString(),
+    time: Math.max(0, Math.round(finishedAt - record.startedAt)),
+    request: {
+      method: record.method,
+      url: record.url,
+      httpVersion: record.httpVersion || '',
+      cookies: [],
+      headers: record.requestHeaders.map(({ name, value }) => ({ name, value: value ?? '' })),
+      queryString,
+      headersSize: -1,
+      bodySize: -1,
+    },
+    response: {
+      status: record.status || 0,
+      statusText: record.statusText || '',
+      httpVersion: record.httpVersion || '',
+      cookies: [],
+      headers: record.responseHeaders.map(({ name, value }) => ({ name, value: value ?? '' })),
+      content,
+      redirectURL: record.redirectURL || '',
+      headersSize: -1,
+      bodySize: record.encodedBytes ?? -1,
+    },
+    cache: {},
+    timings: {
+      blocked: Math.max(0, Math.round(sentAt - record.startedAt)),
+      dns: -1,
+      connect: -1,
+      send: 0,
+      wait: Math.max(0, Math.round(headersAt - sentAt)),
+      receive: Math.max(0, Math.round(finishedAt - headersAt)),
+      ssl: -1,
+    },
+    _resourceType: record.type,
+  };
+
+  if (record.serverIPAddress) {
+    entry.serverIPAddress = record.serverIPAddress;
+  }
+  if (record.error) {
+    entry._error = record.error;
+  }
+  return entry;
+}
+
+function buildHar(records) {
+  return {
+    log: {
+      version: '1.2',
+      creator: {
+        name: 'Scraping Controller',
+        version: chrome.runtime.getManifest().version,
+      },
+      pages: [],
+      entries: records
+        .slice()
+        .sort((a, b) => a.startedAt - b.startedAt)
+        .map(toHarEntry),
+    },
+  };
+}
+
+// Stop capturing and serialize what was recorded
+async function collectNetworkCapture(task) {
+  if (!task?.networkCapture) {
+    return null;
+  }
+  await task.networkCapture.stop();
+  const har = buildHar(task.networkCapture.records);
+  task.networkCapture = null;
+  console.log('[Scraper][network] captured', har.log.entries.length, 'entries');
+  return JSON.stringify(har);
+}
+
+// Tell the native host how many tasks it may dispatch at once
+function announceCapacity() {
+  sendToNativeHost({
+    type: 'STATUS',
+    status: activeTasks.size < getPoolSize() ? 'ready' : 'busy',
+    ...getSlotCounts(),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function waitForTabLoadWithStatus(tabId, targetUrl, timeout) {
+  return new Promise((resolve, reject) => {
+    let statusCode = 200;
+    // Last main-frame network failure; a later response for the tab clears it
+    let netError = null;
+    let responseHeaders = {};
+    const redirects = [];
+    let webRequestListener = null;
+    let redirectListener = null;
+    let responseListener = null;
+    let errorListener = null;
+
+    const timeoutId = setTimeout(() => {
+      cleanup();
+      reject(createScrapeError('timeout', 'Page load timeout'));
+    }, timeout);
+
+    const cleanup = () => {
+      clearTimeout(timeoutId);
+      chrome.tabs.onUpdated.removeListener(tabListener);
+      if (webRequestListener && chrome.webRequest) {
+        chrome.webRequest.onHeadersReceived.removeListener(webRequestListener);
+        chrome.webRequest.onBeforeRedirect.removeListener(redirectListener);
+        chrome.webRequest.onResponseStarted.removeListener(responseListener);
+        chrome.webRequest.onErrorOccurred.removeListener(errorListener);
+      }
+    };
+
+    // Fail the scrape and stop the page from loading any further. This runs after
+    // the fact: session rules block what they can match before it is sent.
+    const blockNavigation = (violation) => {
+      cleanup();
+      console.warn('[Scraper] URL policy blocked navigation:', violation);
+      chrome.tabs.update(tabId, { url: 'about:blank' }).catch(() => {});
+      reject(createScrapeError('policy_blocked', violation));
+    };
+
+    const settle = () => {
+      cleanup();
+      if (netError) {
+        reject(createScrapeError(
+          classifyNetError(netError),
+          `Navigation failed: ${netError}`,
+          { netError }
+        ));
+      } else {
+        resolve({ statusCode, redirects, responseHeaders });
+      }
+    };
+
+    if (chrome.webRequest) {
+      webRequestListener = (details) => {
+        if (details.tabId === tabId && details.type === 'main_frame') {
+          statusCode = details.statusCode;
+          netError = null;
+          responseHeaders = headersToObject(details.responseHeaders);
+          console.log('[Scraper] Captured status code:', statusCode, 'for URL:', details.url);
+        }
+      };
+
+      redirectListener = (details) => {
+        if (details.tabId === tabId && details.type === 'main_frame') {
+          redirects.push({
+            url: details.url,
+            status_code: details.statusCode,
+            location: details.redirectUrl,
+          });
+          const violation = checkServerAddress(details.url, details.ip) ||
+            checkUrlPolicy(details.redirectUrl);
+          if (violation) {
+            blockNavigation(violation);
+          }
+        }
+      };
+
+      responseListener = (details) => {
+        if (details.tabId === tabId && details.type === 'main_frame') {
+          const violation = checkServerAddress(details.url, details.ip);
+          if (violation) {
+            blockNavigation(violation);
+          }
+        }
+      };
+
+      errorListener = (details) => {
+        if (details.tabId === tabId && details.type === 'main_frame') {
+          // Requests stopped by a URL policy rule fail as blocked by client
+          const violation = details.error === 'net::ERR_BLOCKED_BY_CLIENT' ? checkUrlPolicy(details.url) : null;
+          if (violation) {
+            blockNavigation(violation);
+            return;
+          }
+          netError = details.error;
+          console.warn('[Scraper] Main frame failed:', netError, 'for URL:', details.url);
+        }
+      };
+
+      chrome.webRequest.onHeadersReceived.addListener(
+        webRequestListener,
+        { urls: ['<all_urls>'], tabId: tabId },
+        ['responseHeaders']
+      );
+      chrome.webRequest.onBeforeRedirect.addListener(
+        redirectListener,
+        { urls: ['<all_urls>'], tabId: tabId, types: ['main_frame'] }
+      );
+      chrome.webRequest.onResponseStarted.addListener(
+        responseListener,
+        { urls: ['<all_urls>'], tabId: tabId, types: ['main_frame'] }
+      );
+      chrome.webRequest.onErrorOccurred.addListener(
+        errorListener,
+        { urls: ['<all_urls>'], tabId: tabId, types: ['main_frame'] }
+      );
+    }
+
+    const tabListener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        settle();
+      }
+    };
+
+    chrome.tabs.onUpdated.addListener(tabListener);
+
+    chrome.tabs.get(tabId, (tab) => {
+      if (chrome.runtime.lastError) {
+        cleanup();
+        reject(createScrapeError('aborted', 'Tab not found'));
+        return;
+      }
+      if (tab && tab.status === 'complete') {
+        settle();
+      }
+    });
+  });
+}
+
+// waitUntil conditions: the most requests allowed in flight for the page to count as idle
+const NETWORK_IDLE_CONDITIONS = {
+  networkidle0: 0,
+  networkidle2: 2,
+};
+// How long the in-flight count must stay at or under the limit
+const NETWORK_IDLE_WINDOW_MS = 500;
+
+// Track the tab's in-flight requests and since when there have been at most maxInflight
+function startRequestTracker(tabId, maxInflight) {
+  const inflight = new Set();
+  let idleSince = Date.now();
+  const filter = { urls: ['<all_urls>'], tabId };
+
+  const update = () => {
+    if (inflight.size > maxInflight) {
+      idleSince = null;
+    } else if (idleSince === null) {
+      idleSince = Date.now();
+    }
+  };
+  const onStart = (details) => {
+    inflight.add(details.requestId);
+    update();
+  };
+  const onEnd = (details) => {
+    if (inflight.delete(details.requestId)) {
+      update();
+    }
+  };
+
+  chrome.webRequest.onBeforeRequest.addListener(onStart, filter);
+  chrome.webRequest.onCompleted.addListener(onEnd, filter);
+  chrome.webRequest.onErrorOccurred.addListener(onEnd, filter);
+
+  return {
+    maxInflight,
+    get inflight() {
+      return inflight.size;
+    },
+    idleFor() {
+      return idleSince === null ? 0 : Date.now() - idleSince;
+    },
+    stop() {
+      chrome.webRequest.onBeforeRequest.removeListener(onStart);
+      chrome.webRequest.onCompleted.removeListener(onEnd);
+      chrome.webRequest.onErrorOccurred.removeListener(onEnd);
+    },
+  };
+}
+
+// Resolve once the tracker has been idle for NETWORK_IDLE_WINDOW_MS. A page that never
+// settles is reported as unsatisfied instead of failing the scrape.
+async function waitForNetworkIdle(tracker, condition, timeout, signal) {
+  const startedAt = Date.now();
+  while (tracker.idleFor() < NETWORK_IDLE_WINDOW_MS) {
+    signal?.throwIfAborted();
+    if (Date.now() - startedAt >= timeout) {
+      console.log('[Scraper][waitUntil]', condition, 'not reached, in flight:', tracker.inflight);
+      return { condition, satisfied: false, waitedMs: Date.now() - startedAt, inflight: tracker.inflight };
+    }
+    await sleep(100);
+  }
+  console.log('[Scraper][waitUntil]', condition, 'reached after', Date.now() - startedAt, 'ms');
+  return { condition, satisfied: true, waitedMs: Date.now() - startedAt, inflight: tracker.inflight };
+}
+
+// Poll a JS expression in the page's MAIN world until it is truthy. Errors are retried
+// (the page may still be defining what the expression uses), except eval being blocked.
+async function waitForPredicate(tabId, expression, timeout, pollInterval, signal) {
+  const startedAt = Date.now();
+  let polls = 0;
+  let lastError = null;
+
+  while (Date.now() - startedAt < timeout) {
+    signal?.throwIfAborted();
+    polls++;
+    const remaining = timeout - (Date.now() - startedAt);
+    let result;
+    try {
+      // The page bounds a promise that never settles; the race covers a page that never answers
+      [{ result } = {}] = await Promise.race([
+        chrome.scripting.executeScript({
+          target: { tabId },
+          func: evaluatePredicate,
+          args: [expression, remaining],
+          world: 'MAIN',
+        }),
+        sleep(remaining + 500).then(() => [{ result: { truthy: false, error: 'Evaluation did not return' } }]),
+      ]);
+    } catch (error) {
+      // A navigating or reloading page has no frame to run in yet; try again next poll
+      if (/No tab with id/i.test(error.message)) {
+        throw error;
+      }
+      result = { truthy: false, error: error.message };
+    }
+
+    if (result?.truthy) {
+      console.log('[Scraper][waitForFunction] truthy after', Date.now() - startedAt, 'ms');
+      return { satisfied: true, waitedMs: Date.now() - startedAt, polls };
+    }
+    lastError = result?.error || null;
+    if (result?.evalBlocked) {
+      break;
+    }
+    await sleep(pollInterval);
+  }
+
+  console.log('[Scraper][waitForFunction] not satisfied after', Date.now() - startedAt, 'ms', lastError || '');
+  return {
+    satisfied: false,
+    waitedMs: Date.now() - startedAt,
+    polls,
+    error: lastError || undefined,
+  };
+}
+
+// Lower-cased header names; repeated headers are joined the way HTTP folds them
+function headersToObject(headers = []) {
+  const result = {};
+  for (const { name, value } of headers) {
+    const key = name.toLowerCase();
+    result[key] = key in result ? `${result[key]}, ${value}` : value;
+  }
+  return result;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Accepts true or {maxScrolls, step, delay, itemSelector, maxItems}
+function normalizeAutoScrollOptions(value) {
+  const options = value === true ? {} : value;
+  return {
+    maxScrolls: Math.max(1, parseInt(options.maxScrolls, 10) || 20),
+    step: parseInt(options.step, 10) || 0,
+    delay: Math.max(0, parseInt(options.delay, 10) || 500),
+    itemSelector: options.itemSelector || null,
+    maxItems: parseInt(options.maxItems, 10) || 0,
+    idleRounds: Math.max(1, parseInt(options.idleRounds, 10) || 2),
+  };
+}
+
+async function runAutoScroll(tabId, value) {
+  const scrollOptions = normalizeAutoScrollOptions(value);
+  try {
+    const [{ result } = {}] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: autoScrollPage,
+      args: [scrollOptions],
+    });
+    console.log('[Scraper][autoScroll] finished', result);
+    return result || { steps: 0, reason: 'error', error: 'Auto-scroll script returned no result' };
+  } catch (error) {
+    console.warn('[Scraper][autoScroll] failed:', error.message);
+    return { steps: 0, reason: 'error', error: error.message };
+  }
+}
+
+const PAGE_ACTION_TYPES = ['click', 'type', 'press', 'scroll', 'select', 'waitForSelector', 'waitFor'];
+// Actions that can submit forms or follow links
+const NAVIGATING_ACTIONS = ['click', 'press', 'select'];
+// How long after a click, key press or select a navigation may start and still be waited for
+const ACTION_NAVIGATION_WINDOW_MS = 1000;
+
+function getPageActionType(action) {
+  return PAGE_ACTION_TYPES.find((type) => action && action[type] !== undefined) || null;
+}
+
+// Run scripted interactions in order. A failed step stops the sequence unless it is
+// marked optional; every step is reported with its timing and outcome.
+async function runPageActions(tabId, actions, navigationTimeout, signal) {
+  const report = [];
+  let stopped = false;
+
+  for (let index = 0; index < actions.length; index++) {
+    signal?.throwIfAborted();
+    const action = actions[index];
+    const type = getPageActionType(action);
+    const entry = { index, type };
+
+    if (stopped) {
+      report.push({ ...entry, status: 'skipped' });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      if (!type) {
+        throw new Error(`Unknown action (expected one of: ${PAGE_ACTION_TYPES.join(', ')})`);
+      }
+      await runPageAction(tabId, type, action, navigationTimeout, signal);
+      report.push({ ...entry, status: 'ok', durationMs: Date.now() - startedAt });
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.warn('[Scraper][actions] step failed:', index, type, error.message);
+      report.push({ ...entry, status: 'failed', durationMs: Date.now() - startedAt, error: error.message });
+      if (!action?.optional) {
+        stopped = true;
+      }
+    }
+  }
+
+  console.log('[Scraper][actions] finished', report);
+  return report;
+}
+
+async function runPageAction(tabId, type, action, navigationTimeout, signal) {
+  if (type === 'waitFor') {
+    await sleep(Number(action.waitFor) || 0);
+    return;
+  }
+
+  if (type === 'waitForSelector') {
+    const timeout = action.timeout || 10000;
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < timeout) {
+      signal?.throwIfAborted();
+      const [{ result: selectorInfo } = {}] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: checkSelectorPresence,
+        args: [action.waitForSelector],
+      });
+      if (selectorInfo?.error) {
+        throw new Error(selectorInfo.error);
+      }
+      if (selectorInfo?.found) {
+        return;
+      }
+      await sleep(250);
+    }
+    throw new Error(`Selector not found within ${timeout}ms: ${action.waitForSelector}`);
+  }
+
+  // Listen before acting so a navigation that starts right away is not missed
+  const navigation = NAVIGATING_ACTIONS.includes(type) ? watchForNavigationStart(tabId) : null;
+  try {
+    const [{ result } = {}] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: performPageAction,
+      args: [type, action],
+    });
+
+    if (!result?.ok) {
+      throw new Error(result?.error || 'Action script returned no result');
+    }
+
+    if (navigation && await navigation.started(ACTION_NAVIGATION_WINDOW_MS)) {
+      await waitForTabLoadWithStatus(tabId, null, navigationTimeout);
+    }
+  } finally {
+    navigation?.stop();
+  }
+}
+
+// Reports whether the tab starts loading a new document. The tab's status only
+// turns to "loading" once a navigation has begun, so waiting for "complete"
+// before that would return at once with the old page.
+function watchForNavigationStart(tabId) {
+  let isLoading = false;
+  let onLoading = null;
+  const listener = (updatedTabId, changeInfo) => {
+    if (updatedTabId === tabId && changeInfo.status === 'loading') {
+      isLoading = true;
+      onLoading?.();
+    }
+  };
+  chrome.tabs.onUpdated.addListener(listener);
+
+  return {
+    // Resolves true as soon as loading starts, or false if it has not within windowMs
+    started: (windowMs) => new Promise((resolve) => {
+      if (isLoading) {
+        resolve(true);
+        return;
+      }
+      const timer = setTimeout(() => resolve(false), windowMs);
+      onLoading = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+    }),
+    stop: () => chrome.tabs.onUpdated.removeListener(listener),
+  };
+}
+
+// Save the tab as a single-file MHTML archive, base64 encoded for transport
+async function capturePageMhtml(tabId) {
+  const blob = await chrome.pageCapture.saveAsMHTML({ tabId });
+  if (!blob) {
+    throw new Error(chrome.runtime.lastError?.message || 'Failed to capture MHTML');
+  }
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  return {
+    data: bytesToBase64(bytes),
+    bytes: bytes.length,
+  };
+}
+
+// Full-page limits in device pixels: canvases fail past 32767 px per side, and the
+// area cap keeps the stitched RGBA buffer to about 80 MB in the service worker
+const SCREENSHOT_MAX_HEIGHT = 16384;
+const SCREENSHOT_MAX_PIXELS = 16384 * 1280;
+// captureVisibleTab is limited to 2 calls per second
+const CAPTURE_INTERVAL_MS = 600;
+let captureChain = Promise.resolve();
+let lastCaptureAt = 0;
+
+// Accepts true, "viewport", "fullPage" or {mode, format, quality}
+function normalizeScreenshotOptions(value) {
+  if (!value) {
+    return null;
+  }
+
+  const options = value === true ? {} : typeof value === 'string' ? { mode: value } : value;
+  const format = options.format === 'jpeg' || options.format === 'jpg' ? 'jpeg' : 'png';
+  const quality = parseInt(options.quality, 10);
+
+  return {
+    mode: options.mode === 'fullPage' || options.fullPage === true ? 'fullPage' : 'viewport',
+    format,
+    quality: format === 'jpeg' ? Math.min(100, Math.max(1, quality || 80)) : undefined,
+  };
+}
+
+// Only the active tab of a window can be captured, so parallel tasks take turns
+function withCaptureLock(fn) {
+  const run = captureChain.then(fn, fn);
+  captureChain = run.catch(() => {});
+  return run;
+}
+
+// Tabs are scraped in the background; only steps that need a rendered tab
+// (screenshots, auto-scroll) activate theirs. Every change of the active tab
+// goes through the capture lock, so no task can switch tabs while another one
+// is capturing what is on screen.
+function withVisibleTab(tab, fn) {
+  return withCaptureLock(async () => {
+    await chrome.tabs.update(tab.id, { active: true });
+    if (tab.windowId !== undefined) {
+      await chrome.windows.update(tab.windowId, { focused: true });
+    }
+    return fn();
   });
-  
-  if (options.waitForSelector) {
-    const timeout = options.waitForSelectorTimeout || 10000;
-    const pollInterval = options.waitForSelectorPollInterval || 250;
-    const startedAt = Date.now();
-    let selectorFound = false;
+}
 
-    while (Date.now() - startedAt < timeout) {
-      const [{ result: selectorInfo } = {}] = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: checkSelectorPresence,
-        args: [options.waitForSelector],
-      });
+async function captureVisibleTabThrottled(windowId, options) {
+  const wait = lastCaptureAt + CAPTURE_INTERVAL_MS - Date.now();
+  if (wait > 0) {
+    await sleep(wait);
+  }
+  lastCaptureAt = Date.now();
+  return chrome.tabs.captureVisibleTab(windowId, {
+    format: options.format,
+    quality: options.quality,
+  });
+}
 
-      if (selectorInfo?.found) {
-        console.log('[Scraper][selector] found after', Date.now() - startedAt, 'ms', 'selector:', options.waitForSelector);
-        selectorFound = true;
-        break;
-      }
+async function dataUrlToBitmap(dataUrl) {
+  const response = await fetch(dataUrl);
+  return createImageBitmap(await response.blob());
+}
 
-      await sleep(pollInterval);
-    }
+async function captureScreenshot(tab, options) {
+  return withVisibleTab(tab, async () => {
+    await sleep(100);
 
-    if (!selectorFound) {
-      console.log('[Scraper][selector] not found after', Date.now() - startedAt, 'ms', 'selector:', options.waitForSelector);
+    if (options.mode === 'fullPage') {
+      return captureFullPage(tab, options);
     }
+
+    const dataUrl = await captureVisibleTabThrottled(tab.windowId, options);
+    const bitmap = await dataUrlToBitmap(dataUrl);
+    const { width, height } = bitmap;
+    bitmap.close();
+
+    return {
+      mode: options.mode,
+      format: options.format,
+      width,
+      height,
+      data: dataUrl.slice(dataUrl.indexOf(',') + 1),
+    };
+  });
+}
+
+// Scroll through the page one viewport at a time and stitch the captures together
+async function captureFullPage(tab, options) {
+  const [{ result: metrics } = {}] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: getScrollMetrics,
+  });
+
+  if (!metrics?.viewportHeight) {
+    throw new Error('Failed to read page dimensions');
   }
 
-  if (options.waitForShadowRoots) {
-    const timeout = options.shadowRootTimeout || 5000;
-    const pollInterval = options.shadowRootPollInterval || 250;
-    const startedAt = Date.now();
-    let shadowFound = false;
+  // Captures come back in device pixels, so the CSS height that fits depends on the pixel ratio
+  const pixelRatio = metrics.devicePixelRatio || 1;
+  const maxDeviceHeight = Math.min(
+    SCREENSHOT_MAX_HEIGHT,
+    Math.floor(SCREENSHOT_MAX_PIXELS / Math.ceil(metrics.viewportWidth * pixelRatio))
+  );
+  const maxHeight = Math.floor(maxDeviceHeight / pixelRatio);
+  const totalHeight = Math.max(metrics.viewportHeight, Math.min(metrics.scrollHeight, maxHeight));
+  let canvas = null;
+  let ctx = null;
+  let scale = 1;
+  let captures = 0;
 
-    while (Date.now() - startedAt < timeout) {
-      const [{ result: shadowInfo } = {}] = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: checkShadowRoots,
-        world: 'MAIN',
+  try {
+    for (let y = 0; y < totalHeight; y += metrics.viewportHeight) {
+      const [{ result: scrolledTo } = {}] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: scrollToPosition,
+        args: [y],
       });
+      await sleep(150);
 
-      console.log('[Scraper][shadow] check result:', shadowInfo);
-      if (shadowInfo?.count > 0) {
-        console.log('[Scraper][shadow] ready after', Date.now() - startedAt, 'ms', 'hosts:', shadowInfo.hosts);
-        shadowFound = true;
-        break;
+      const bitmap = await dataUrlToBitmap(await captureVisibleTabThrottled(tab.windowId, options));
+      if (!canvas) {
+        scale = bitmap.width / metrics.viewportWidth;
+        canvas = new OffscreenCanvas(bitmap.width, Math.min(Math.round(totalHeight * scale), maxDeviceHeight));
+        ctx = canvas.getContext('2d');
       }
-
-      await sleep(pollInterval);
+      ctx.drawImage(bitmap, 0, Math.round((scrolledTo ?? y) * scale));
+      bitmap.close();
+      captures++;
     }
+  } finally {
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: scrollToPosition,
+      args: [metrics.scrollY],
+    }).catch(() => {});
+  }
 
-    if (!shadowFound) {
-      console.log('[Scraper][shadow] none detected after', Date.now() - startedAt, 'ms');
-    }
+  const blob = await canvas.convertToBlob({
+    type: `image/${options.format}`,
+    quality: options.quality ? options.quality / 100 : undefined,
+  });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+
+  console.log('[Scraper][screenshot] full page stitched', {
+    captures,
+    width: canvas.width,
+    height: canvas.height,
+    bytes: bytes.length,
+  });
+
+  return {
+    mode: options.mode,
+    format: options.format,
+    width: canvas.width,
+    height: canvas.height,
+    truncated: metrics.scrollHeight > totalHeight,
+    data: bytesToBase64(bytes),
+  };
+}
+
+async function getPageContent(tabId, options = {}) {
+  console.log('[Scraper] getPageContent start', {
+    tabId,
+    hasWaitForSelector: Boolean(options.waitForSelector),
+    hasWaitForShadowRoots: Boolean(options.waitForShadowRoots),
+  });
+  
+  // One in-page observer waits for the selector and shadow hosts together
+  let readiness = null;
+  if (options.waitForSelector || options.waitForShadowRoots) {
+    const [{ result } = {}] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: watchForPageReady,
+      args: [{
+        selector: options.waitForSelector || null,
+        selectorTimeout: options.waitForSelectorTimeout || 10000,
+        shadowRoots: Boolean(options.waitForShadowRoots),
+        shadowRootTimeout: options.shadowRootTimeout || 5000,
+      }],
+    });
+    readiness = result || null;
+    console.log('[Scraper][wait] page readiness:', readiness);
+  }
+
+  // Full-document diagnostics are expensive on large pages, so they only run on request
+  let diagnostics = null;
+  if (options.debug) {
+    const [{ result } = {}] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: checkShadowRoots,
+      world: 'MAIN',
+    });
+    diagnostics = result || null;
+    console.log('[Scraper][debug] shadow root diagnostics:', diagnostics);
+  }
+
+  if (options.extractHtml === false) {
+    const tab = await chrome.tabs.get(tabId);
+    return { html: null, title: tab.title, readiness, diagnostics };
   }
 
   const pageOptions = {
@@ -686,7 +2661,9 @@ async function getPageContent(tabId, options = {}) {
     throw new Error(error?.message || 'Failed to inject content script');
   }
 
-  console.log('[Scraper] executeScript results:', JSON.stringify(results, null, 2));
+  if (options.debug) {
+    console.log('[Scraper][debug] executeScript results:', JSON.stringify(results, null, 2));
+  }
 
   const content = results[0]?.result || null;
   if (!content) {
@@ -698,7 +2675,43 @@ async function getPageContent(tabId, options = {}) {
       keys: Object.keys(content),
     });
   }
-  return content;
+  return content && { ...content, readiness, diagnostics };
+}
+
+// Navigation Timing of the loaded document; missing metrics never fail the scrape
+async function getNavigationTiming(tabId) {
+  try {
+    const [{ result } = {}] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: readNavigationTiming,
+    });
+    return result || null;
+  } catch (error) {
+    console.warn('[Scraper] Navigation timing unavailable:', error.message);
+    return null;
+  }
+}
+
+// Evaluate an extract schema in the page. Runs in the isolated world, where
+// chrome.dom.openOrClosedShadowRoot can reach closed shadow roots.
+async function getStructuredData(tabId, schema) {
+  let results = [];
+  try {
+    results = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: extractStructuredData,
+      args: [schema],
+    });
+  } catch (error) {
+    console.warn('[Scraper][extract] executeScript failed:', error?.message || error);
+    return { data: null, errors: [{ field: '', error: error?.message || 'Failed to inject extract script' }] };
+  }
+
+  const extracted = results[0]?.result || { data: null, errors: [{ field: '', error: 'Extract script returned no result' }] };
+  if (extracted.errors.length > 0) {
+    console.warn('[Scraper][extract] field errors:', extracted.errors);
+  }
+  return extracted;
 }
 
 async function buildDebugPayload() {
@@ -884,6 +2897,7 @@ function extractPageContent({
   }
 }
 
+// Heavy per-document diagnostics, only run for scrapes with options.debug
 function checkShadowRoots() {
   try {
     const chromeApi = globalThis.chrome;
@@ -1013,6 +3027,137 @@ function checkShadowRoots() {
   }
 }
 
+// Runs in page context (isolated world, so chrome.dom can see closed shadow roots).
+// A MutationObserver replaces polling: the promise resolves once every requested
+// condition is met or has timed out.
+function watchForPageReady({ selector, selectorTimeout, shadowRoots, shadowRootTimeout }) {
+  return new Promise((resolve) => {
+    const startedAt = performance.now();
+    const elapsed = () => Math.round(performance.now() - startedAt);
+    const report = {};
+    // Condition name -> deadline
+    const pending = {};
+    if (selector) {
+      pending.selector = startedAt + selectorTimeout;
+    }
+    if (shadowRoots) {
+      pending.shadowRoots = startedAt + shadowRootTimeout;
+    }
+
+    const getShadowRoot = (element) => {
+      if (globalThis.chrome?.dom?.openOrClosedShadowRoot) {
+        try {
+          return chrome.dom.openOrClosedShadowRoot(element) || null;
+        } catch (e) {
+          // Fall back to open roots
+        }
+      }
+      return element.shadowRoot || null;
+    };
+
+    // attachShadow() is not a DOM mutation, so custom elements without a root yet
+    // (the hosts that attach one late) are kept and rechecked on every tick
+    const shadowHosts = new Set();
+    const customElementsWithoutRoot = new Set();
+    const inspect = (element) => {
+      if (getShadowRoot(element)) {
+        shadowHosts.add(element);
+      } else if (element.localName.includes('-')) {
+        customElementsWithoutRoot.add(element);
+      }
+    };
+    const inspectTree = (root) => {
+      if (root.nodeType === Node.ELEMENT_NODE) {
+        inspect(root);
+      }
+      for (const element of root.querySelectorAll('*')) {
+        inspect(element);
+      }
+    };
+
+    const describe = (element) => {
+      const id = element.id ? `#${element.id}` : '';
+      const className = typeof element.className === 'string' && element.className.trim()
+        ? `.${element.className.trim().replace(/\s+/g, '.')}`
+        : '';
+      return `${element.localName}${id}${className}`;
+    };
+
+    let observer = null;
+    let timer = null;
+
+    const check = () => {
+      const now = performance.now();
+
+      if (pending.selector !== undefined) {
+        try {
+          if (document.querySelector(selector)) {
+            report.selector = { found: true, waitedMs: elapsed() };
+            delete pending.selector;
+          }
+        } catch (error) {
+          report.selector = { found: false, waitedMs: elapsed(), error: error.message };
+          delete pending.selector;
+        }
+        if (pending.selector !== undefined && now >= pending.selector) {
+          report.selector = { found: false, waitedMs: elapsed() };
+          delete pending.selector;
+        }
+      }
+
+      if (pending.shadowRoots !== undefined) {
+        for (const element of customElementsWithoutRoot) {
+          if (getShadowRoot(element)) {
+            shadowHosts.add(element);
+            customElementsWithoutRoot.delete(element);
+          } else if (!element.isConnected) {
+            customElementsWithoutRoot.delete(element);
+          }
+        }
+        if (shadowHosts.size > 0 || now >= pending.shadowRoots) {
+          report.shadowRoots = {
+            found: shadowHosts.size > 0,
+            count: shadowHosts.size,
+            hosts: Array.from(shadowHosts).slice(0, 5).map(describe),
+            waitedMs: elapsed(),
+          };
+          delete pending.shadowRoots;
+        }
+      }
+
+      if (Object.keys(pending).length === 0) {
+        observer?.disconnect();
+        clearInterval(timer);
+        resolve(report);
+      }
+    };
+
+    if (shadowRoots) {
+      inspectTree(document);
+    }
+    check();
+    if (Object.keys(pending).length === 0) {
+      return;
+    }
+
+    observer = new MutationObserver((mutations) => {
+      if (pending.shadowRoots !== undefined) {
+        for (const mutation of mutations) {
+          for (const node of mutation.addedNodes) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+              inspectTree(node);
+            }
+          }
+        }
+      }
+      check();
+    });
+    observer.observe(document, { childList: true, subtree: true });
+    // Catches late shadow roots, attribute-only selector matches and the deadlines
+    timer = setInterval(check, 250);
+  });
+}
+
 function checkSelectorPresence(selector) {
   try {
     const node = document.querySelector(selector);
@@ -1026,3 +3171,356 @@ function checkSelectorPresence(selector) {
     };
   }
 }
+
+function getScrollMetrics() {
+  return {
+    scrollHeight: Math.max(document.documentElement.scrollHeight, document.body?.scrollHeight || 0),
+    viewportHeight: window.innerHeight,
+    viewportWidth: window.innerWidth,
+    devicePixelRatio: window.devicePixelRatio,
+    scrollY: window.scrollY,
+  };
+}
+
+function scrollToPosition(y) {
+  window.scrollTo(0, y);
+  return window.scrollY;
+}
+
+// Runs in page context. Schema maps field names to a selector string or
+// {selector, attr, mode: "text" | "html" | "attr", type: "string" | "number" | "boolean", list, fields}.
+// Selectors are matched in the document and inside every open or closed shadow root.
+function extractStructuredData(schema) {
+  const errors = [];
+
+  const getShadowRoot = (el) => {
+    if (typeof chrome !== 'undefined' && typeof chrome.dom?.openOrClosedShadowRoot === 'function') {
+      try {
+        return chrome.dom.openOrClosedShadowRoot(el);
+      } catch (e) {
+        return el.shadowRoot;
+      }
+    }
+    return el.shadowRoot;
+  };
+
+  // The scope itself plus every shadow root below it, including nested ones.
+  // Collected once per scope: every field (and every list item's fields) would
+  // otherwise rescan the whole subtree.
+  const rootsByScope = new Map();
+  const searchRoots = (scope) => {
+    if (rootsByScope.has(scope)) {
+      return rootsByScope.get(scope);
+    }
+    const roots = [scope];
+    const visit = (root) => {
+      for (const el of Array.from(root.querySelectorAll('*'))) {
+        const shadowRoot = getShadowRoot(el);
+        if (shadowRoot) {
+          roots.push(shadowRoot);
+          visit(shadowRoot);
+        }
+      }
+    };
+    if (scope instanceof Element && getShadowRoot(scope)) {
+      roots.push(getShadowRoot(scope));
+      visit(getShadowRoot(scope));
+    }
+    visit(scope);
+    rootsByScope.set(scope, roots);
+    return roots;
+  };
+
+  const deepQueryAll = (scope, selector) => {
+    const matches = new Set();
+    for (const root of searchRoots(scope)) {
+      for (const el of Array.from(root.querySelectorAll(selector))) {
+        matches.add(el);
+      }
+    }
+    return [...matches];
+  };
+
+  const convert = (raw, type) => {
+    if (raw === null || raw === undefined) {
+      return null;
+    }
+    if (type === 'number') {
+      const number = parseFloat(String(raw).replace(/[^0-9.eE+-]/g, ''));
+      return Number.isFinite(number) ? number : null;
+    }
+    if (type === 'boolean') {
+      return !['', 'false', '0', 'no', 'off'].includes(String(raw).trim().toLowerCase());
+    }
+    return raw;
+  };
+
+  const readValue = (el, spec, path) => {
+    if (spec.fields) {
+      return extractFields(el, spec.fields, path);
+    }
+    const mode = spec.attr ? 'attr' : (spec.mode || 'text');
+    let raw;
+    if (mode === 'html') {
+      raw = el.innerHTML;
+    } else if (mode === 'attr') {
+      raw = el.getAttribute(spec.attr);
+      // Resolve relative links against the document
+      if (raw && (spec.attr === 'href' || spec.attr === 'src') && typeof el[spec.attr] === 'string') {
+        raw = el[spec.attr];
+      }
+    } else {
+      raw = (el.innerText ?? el.textContent ?? '').trim();
+    }
+    return convert(raw, spec.type);
+  };
+
+  const extractField = (scope, rawSpec, path) => {
+    const spec = typeof rawSpec === 'string' ? { selector: rawSpec } : rawSpec;
+    if (!spec || typeof spec !== 'object') {
+      errors.push({ field: path, error: 'Field spec must be a selector string or an object' });
+      return null;
+    }
+
+    let matches;
+    try {
+      matches = spec.selector ? deepQueryAll(scope, spec.selector) : [scope];
+    } catch (error) {
+      errors.push({ field: path, error: error.message });
+      return spec.list ? [] : null;
+    }
+
+    if (spec.list) {
+      return matches.map((el, index) => readValue(el, spec, `${path}[${index}]`));
+    }
+    return matches.length > 0 ? readValue(matches[0], spec, path) : null;
+  };
+
+  const extractFields = (scope, fields, prefix) => {
+    const output = {};
+    for (const [name, spec] of Object.entries(fields)) {
+      const path = prefix ? `${prefix}.${name}` : name;
+      output[name] = extractField(scope, spec, path);
+    }
+    return output;
+  };
+
+  try {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return { data: null, errors: [{ field: '', error: 'extract must be an object of fields' }] };
+    }
+    return { data: extractFields(document, schema, ''), errors };
+  } catch (error) {
+    return { data: null, errors: [...errors, { field: '', error: error.message }] };
+  }
+}
+
+// Runs in page context. Performs one click/type/press/scroll/select step.
+function performPageAction(type, action) {
+  const getShadowRoot = (el) => {
+    if (typeof chrome !== 'undefined' && typeof chrome.dom?.openOrClosedShadowRoot === 'function') {
+      try {
+        return chrome.dom.openOrClosedShadowRoot(el);
+      } catch (e) {
+        return el.shadowRoot;
+      }
+    }
+    return el.shadowRoot;
+  };
+
+  // First match in the document, then inside shadow roots
+  const deepQuery = (root, selector) => {
+    const match = root.querySelector(selector);
+    if (match) {
+      return match;
+    }
+    for (const el of Array.from(root.querySelectorAll('*'))) {
+      const shadowRoot = getShadowRoot(el);
+      const nested = shadowRoot ? deepQuery(shadowRoot, selector) : null;
+      if (nested) {
+        return nested;
+      }
+    }
+    return null;
+  };
+
+  const find = (selector) => {
+    const el = deepQuery(document, selector);
+    if (!el) {
+      throw new Error(`Element not found: ${selector}`);
+    }
+    return el;
+  };
+
+  // Use the native setter so frameworks that track input values see the change
+  const setValue = (el, value) => {
+    const proto = Object.getPrototypeOf(el);
+    const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+    if (setter) {
+      setter.call(el, value);
+    } else {
+      el.value = value;
+    }
+    el.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+  };
+
+  try {
+    switch (type) {
+      case 'click': {
+        const el = find(action.click);
+        el.scrollIntoView({ block: 'center' });
+        el.click();
+        break;
+      }
+
+      case 'type': {
+        const el = find(action.type);
+        el.focus();
+        const text = String(action.text ?? '');
+        setValue(el, action.append ? `${el.value || ''}${text}` : text);
+        break;
+      }
+
+      case 'press': {
+        const target = action.selector ? find(action.selector) : (document.activeElement || document.body);
+        const init = { key: action.press, bubbles: true, cancelable: true, composed: true };
+        const notCancelled = target.dispatchEvent(new KeyboardEvent('keydown', init));
+        target.dispatchEvent(new KeyboardEvent('keypress', init));
+        target.dispatchEvent(new KeyboardEvent('keyup', init));
+        // Synthetic key events have no default action, so submit forms on Enter ourselves
+        if (notCancelled && action.press === 'Enter' && target.form) {
+          target.form.requestSubmit();
+        }
+        break;
+      }
+
+      case 'scroll': {
+        const value = action.scroll;
+        if (value === 'bottom') {
+          window.scrollTo(0, document.documentElement.scrollHeight);
+        } else if (value === 'top') {
+          window.scrollTo(0, 0);
+        } else if (typeof value === 'number') {
+          window.scrollBy(0, value);
+        } else {
+          find(value).scrollIntoView({ block: 'center' });
+        }
+        break;
+      }
+
+      case 'select': {
+        const el = find(action.select);
+        const values = Array.isArray(action.value) ? action.value.map(String) : [String(action.value)];
+        if (el instanceof HTMLSelectElement) {
+          for (const option of el.options) {
+            option.selected = values.includes(option.value);
+          }
+          el.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+          el.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+        } else {
+          setValue(el, values[0]);
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Unsupported action: ${type}`);
+    }
+
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+// Runs in page context. Scrolls down until the page stops growing, enough items
+// are rendered or maxScrolls is reached.
+async function autoScrollPage({ maxScrolls, step, delay, itemSelector, maxItems, idleRounds }) {
+  const startedAt = performance.now();
+  const pageHeight = () => Math.max(document.documentElement.scrollHeight, document.body?.scrollHeight || 0);
+  const countItems = () => (itemSelector ? document.querySelectorAll(itemSelector).length : 0);
+
+  let steps = 0;
+  let idle = 0;
+  let reason = 'max-scrolls';
+  let height = pageHeight();
+
+  try {
+    while (steps < maxScrolls) {
+      window.scrollBy(0, step || window.innerHeight);
+      steps++;
+      await new Promise((resolve) => setTimeout(resolve, delay));
+
+      if (itemSelector && maxItems > 0 && countItems() >= maxItems) {
+        reason = 'max-items';
+        break;
+      }
+
+      const newHeight = pageHeight();
+      const atBottom = window.scrollY + window.innerHeight >= newHeight - 2;
+      if (newHeight > height) {
+        idle = 0;
+      } else if (atBottom) {
+        idle++;
+        if (idle >= idleRounds) {
+          reason = 'height-stable';
+          break;
+        }
+      }
+      height = newHeight;
+    }
+  } catch (error) {
+    return { steps, reason: 'error', error: error.message };
+  }
+
+  return {
+    steps,
+    reason,
+    finalHeight: pageHeight(),
+    items: itemSelector ? countItems() : undefined,
+    durationMs: Math.round(performance.now() - startedAt),
+  };
+}
+
+// Milliseconds from navigation start, taken from the document's PerformanceNavigationTiming
+function readNavigationTiming() {
+  const [entry] = performance.getEntriesByType('navigation');
+  if (!entry) {
+    return null;
+  }
+
+  const since = (value) => (value > 0 ? Math.round(value) : null);
+  return {
+    ttfbMs: since(entry.responseStart),
+    responseEndMs: since(entry.responseEnd),
+    domContentLoadedMs: since(entry.domContentLoadedEventEnd),
+    loadMs: since(entry.loadEventEnd),
+  };
+}
+
+// Evaluate a waitForFunction expression; runs in the MAIN world so page globals are visible
+async function evaluatePredicate(expression, timeoutMs) {
+  let timer = null;
+  try {
+    const value = await Promise.race([
+      (0, eval)(expression),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Expression did not settle within ${timeoutMs}ms`)),
+          timeoutMs
+        );
+      }),
+    ]);
+    return { truthy: Boolean(value) };
+  } catch (error) {
+    return {
+      truthy: false,
+      error: `${error.name}: ${error.message}`,
+      // Pages whose CSP forbids eval can never satisfy the expression
+      evalBlocked: error instanceof EvalError,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
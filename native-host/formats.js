@@ -0,0 +1,166 @@
+// HTML -> Markdown / plain text conversion for scrape results
+
+const domino = require('@mixmark-io/domino');
+const TurndownService = require('turndown');
+const { gfm } = require('turndown-plugin-gfm');
+
+const SUPPORTED_FORMATS = ['html', 'markdown', 'text'];
+
+// Elements whose content is never rendered as page text
+const HIDDEN_TAGS = [
+  'head', 'title', 'meta', 'link', 'base', 'script', 'style', 'noscript',
+  'template', 'iframe', 'object', 'embed', 'svg', 'canvas', 'audio', 'video',
+];
+
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'DD', 'DETAILS', 'DIALOG',
+  'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1',
+  'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HGROUP', 'HR', 'HTML', 'LI', 'MAIN',
+  'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'TR', 'UL',
+]);
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-',
+});
+turndown.use(gfm);
+turndown.remove(HIDDEN_TAGS);
+
+function isShadowTemplate(node) {
+  return node.nodeType === 1 &&
+    node.tagName === 'TEMPLATE' &&
+    (node.hasAttribute('shadowrootmode') || node.hasAttribute('shadowroot'));
+}
+
+function isSlottedFor(node, name) {
+  const slotName = node.nodeType === 1 ? node.getAttribute('slot') : null;
+  return name ? slotName === name : !slotName;
+}
+
+// Replace each declarative shadow root (<template shadowrootmode>) emitted by
+// getHTML({shadowRoots}) with what it renders: the shadow tree, with every
+// <slot> filled by the host's matching light DOM children.
+function flattenShadowRoots(node) {
+  for (const child of Array.from(node.childNodes)) {
+    if (!isShadowTemplate(child)) {
+      flattenShadowRoots(child);
+    }
+  }
+
+  const template = Array.from(node.childNodes).find(isShadowTemplate);
+  if (!template) {
+    return;
+  }
+
+  const shadow = template.content;
+  flattenShadowRoots(shadow);
+  node.removeChild(template);
+
+  const lightNodes = Array.from(node.childNodes);
+  for (const slot of Array.from(shadow.querySelectorAll('slot'))) {
+    const name = slot.getAttribute('name');
+    const assigned = lightNodes.filter((lightNode) => isSlottedFor(lightNode, name));
+    const replacement = assigned.length > 0 ? assigned : Array.from(slot.childNodes);
+
+    for (const replacementNode of replacement) {
+      slot.parentNode.insertBefore(replacementNode, slot);
+    }
+    slot.parentNode.removeChild(slot);
+  }
+
+  // Light DOM nodes without a matching slot are not rendered
+  while (node.firstChild) {
+    node.removeChild(node.firstChild);
+  }
+  for (const shadowNode of Array.from(shadow.childNodes)) {
+    node.appendChild(shadowNode);
+  }
+}
+
+function isHiddenElement(element) {
+  if (HIDDEN_TAGS.includes(element.tagName.toLowerCase())) {
+    return true;
+  }
+  if (element.hasAttribute('hidden')) {
+    return true;
+  }
+  const style = element.getAttribute('style') || '';
+  return /display\s*:\s*none|visibility\s*:\s*hidden/i.test(style);
+}
+
+function collectText(node, parts) {
+  if (node.nodeType === 3) {
+    parts.push(node.data.replace(/\s+/g, ' '));
+    return;
+  }
+  if (node.nodeType !== 1 && node.nodeType !== 9 && node.nodeType !== 11) {
+    return;
+  }
+  if (node.nodeType === 1 && isHiddenElement(node)) {
+    return;
+  }
+
+  const tagName = node.nodeType === 1 ? node.tagName : '';
+  if (tagName === 'BR') {
+    parts.push('\n');
+    return;
+  }
+
+  const isBlock = BLOCK_TAGS.has(tagName);
+  if (isBlock) {
+    parts.push('\n');
+  }
+  for (const child of node.childNodes) {
+    collectText(child, parts);
+    if (child.nodeType === 1 && (child.tagName === 'TD' || child.tagName === 'TH')) {
+      parts.push('\t');
+    }
+  }
+  if (isBlock) {
+    parts.push('\n');
+  }
+}
+
+function toText(root) {
+  const parts = [];
+  collectText(root, parts);
+  return parts
+    .join('')
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function getUnsupportedFormats(formats) {
+  return formats.filter((format) => !SUPPORTED_FORMATS.includes(format));
+}
+
+// Convert scraped HTML into the requested extra formats ("markdown", "text")
+function convertHtml(html, formats) {
+  const output = {};
+  if (!formats.includes('markdown') && !formats.includes('text')) {
+    return output;
+  }
+
+  const document = domino.createDocument(html || '');
+  flattenShadowRoots(document);
+  const root = document.body || document.documentElement;
+
+  if (formats.includes('markdown')) {
+    output.markdown = root ? turndown.turndown(root).trim() : '';
+  }
+  if (formats.includes('text')) {
+    output.text = root ? toText(root) : '';
+  }
+
+  return output;
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  convertHtml,
+  getUnsupportedFormats,
+};
@@ -2,11 +2,15 @@
 
 const { serve } = require('@hono/node-server');
 const { Hono } = require('hono');
+const { stream } = require('hono/streaming');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const zlib = require('zlib');
 const { promisify } = require('util');
+const { SUPPORTED_FORMATS, convertHtml, getUnsupportedFormats } = require('./formats');
+const { checkUrlPolicy, normalizeUrlPolicy } = require('./url-policy');
+const { version: HOST_VERSION } = require('./package.json');
 
 const gunzipAsync = promisify(zlib.gunzip);
 
@@ -37,14 +41,193 @@ if (fs.existsSync(configPath)) {
 const PORT = parseInt(process.env.SCRAPER_PORT || config.port || '3002', 10);
 const DEFAULT_TIMEOUT = 60000;
 const AUTH_TOKEN = process.env.SCRAPER_AUTH_TOKEN || config.authToken || '';
+// Lets load balancers probe GET /health without a token
+const PUBLIC_HEALTH = config.publicHealth === true;
+// Which URLs may be scraped; also sent to the extension, which enforces it on redirects
+const URL_POLICY = normalizeUrlPolicy(config.urlPolicy);
+// Webhook callbacks go to the operator's own servers, so the scrape-target domain
+// lists do not apply to them; only the private-network check does
+const CALLBACK_URL_POLICY = { ...URL_POLICY, allowedSchemes: ['http', 'https'], allowDomains: [], denyDomains: [] };
+const MAX_QUEUE_SIZE = parseInt(process.env.SCRAPER_MAX_QUEUE_SIZE || config.maxQueueSize || '100', 10);
+const QUEUE_RETRY_AFTER_SECONDS = parseInt(config.queueRetryAfter || '5', 10);
+const JOB_TTL = parseInt(config.jobTtl || '3600000', 10);
+const CALLBACK_TIMEOUT = 10000;
+const MAX_BATCH_SIZE = parseInt(config.maxBatchSize || '500', 10);
+const MAX_PAGE_ACTIONS = 100;
+const PAGE_ACTION_TYPES = ['click', 'type', 'press', 'scroll', 'select', 'waitForSelector', 'waitFor'];
+// Resource types options.block.resourceTypes accepts, including the extension's aliases
+const BLOCK_RESOURCE_TYPES = [
+  'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object', 'xmlhttprequest', 'ping',
+  'csp_report', 'media', 'websocket', 'webtransport', 'webbundle', 'other',
+  'css', 'xhr', 'fetch', 'frame', 'iframe',
+];
+const WAIT_UNTIL_CONDITIONS = ['load', 'networkidle0', 'networkidle2'];
+// Heartbeat: PING the extension this often; no PONG for STALE_AFTER / DOWN_AFTER
+// heartbeats marks it stale / down in /health
+const HEARTBEAT_INTERVAL = parseInt(config.heartbeatInterval || '10000', 10);
+const HEARTBEAT_STALE_AFTER = 2;
+const HEARTBEAT_DOWN_AFTER = 6;
+// Sent every few seconds, so kept out of the log
+const HEARTBEAT_MESSAGES = ['PING', 'PONG'];
+
+// Native messaging protocol spoken with the extension; HELLO from a different
+// major version is refused
+const PROTOCOL_VERSION = 1;
+const HOST_CAPABILITIES = {
+  // Ways the host can decode RESULT payloads
+  encodings: ['gzip+base64', 'utf8', 'base64'],
+  chunkedTransfer: true,
+  formats: SUPPORTED_FORMATS,
+  cancel: true,
+  heartbeat: true,
+};
+// Most RESULT_CHUNK frames one field may arrive in; the extension sends at most
+// 64 MB in 128 KB chunks, so this leaves room without trusting the frame's total
+const MAX_CHUNKS = 1024;
+// Scrape options that need support in the extension, checked against its HELLO
+const EXTENSION_FEATURE_OPTIONS = [
+  'actions', 'autoScroll', 'headers', 'headerDomains', 'cookies', 'block', 'captureNetwork',
+  'extract', 'screenshot', 'format', 'waitUntil', 'waitForFunction', 'debug',
+];
+// How long shutdown waits for open HTTP responses to flush before exiting anyway
+const DRAIN_TIMEOUT = parseInt(config.drainTimeout || '10000', 10);
+
+// API tokens: the single legacy token (all scopes) plus named tokens from config.tokens
+const TOKEN_SCOPES = ['scrape', 'jobs', 'admin'];
+const apiTokens = loadApiTokens();
+
+if (apiTokens.length === 0) {
+  log('WARNING: no API tokens configured (SCRAPER_AUTH_TOKEN or config.tokens) - API will be unprotected!');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+function loadApiTokens() {
+  const tokens = [];
+  if (AUTH_TOKEN) {
+    tokens.push({ name: 'default', hash: hashToken(AUTH_TOKEN), scopes: TOKEN_SCOPES, expiresAt: null, rateLimit: null });
+  }
+
+  for (const entry of Array.isArray(config.tokens) ? config.tokens : []) {
+    if (!entry || !entry.name || !entry.token) {
+      log('Ignoring API token without name or token');
+      continue;
+    }
+
+    const scopes = Array.isArray(entry.scopes) ? entry.scopes : TOKEN_SCOPES;
+    const unknownScopes = scopes.filter((scope) => !TOKEN_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      log(`Token ${entry.name}: ignoring unknown scopes ${unknownScopes.join(', ')}`);
+    }
+
+    let expiresAt = null;
+    if (entry.expiresAt) {
+      expiresAt = new Date(entry.expiresAt).getTime();
+      if (Number.isNaN(expiresAt)) {
+        log(`Token ${entry.name}: invalid expiresAt, token disabled`);
+        continue;
+      }
+    }
+
+    const rateLimit = entry.rateLimit && entry.rateLimit.requests > 0
+      ? { requests: entry.rateLimit.requests, windowMs: entry.rateLimit.windowMs || 60000 }
+      : null;
+
+    tokens.push({
+      name: entry.name,
+      hash: hashToken(entry.token),
+      scopes: scopes.filter((scope) => TOKEN_SCOPES.includes(scope)),
+      expiresAt,
+      rateLimit,
+    });
+  }
+
+  log(`Loaded ${tokens.length} API token(s)`);
+  return tokens;
+}
+
+// Compare against every token so timing does not reveal which (if any) matched
+function findApiToken(presented) {
+  const presentedHash = hashToken(presented);
+  let match = null;
+  for (const apiToken of apiTokens) {
+    if (crypto.timingSafeEqual(presentedHash, apiToken.hash) && !match) {
+      match = apiToken;
+    }
+  }
+  return match;
+}
+
+function getRequiredScope(path) {
+  if (path === '/scrape' || path.startsWith('/scrape/')) {
+    return 'scrape';
+  }
+  if (path === '/jobs' || path.startsWith('/jobs/')) {
+    return 'jobs';
+  }
+  return 'admin';
+}
 
-if (!AUTH_TOKEN) {
-  log('WARNING: SCRAPER_AUTH_TOKEN not set - API will be unprotected!');
+// Fixed-window request counters: Map<tokenName, {windowStart, count}>
+const rateLimitWindows = new Map();
+
+// Returns seconds until the token may retry, or 0 when the request is allowed
+function consumeRateLimit(apiToken) {
+  if (!apiToken.rateLimit) {
+    return 0;
+  }
+  const { requests, windowMs } = apiToken.rateLimit;
+  const now = Date.now();
+  let window = rateLimitWindows.get(apiToken.name);
+  if (!window || now - window.windowStart >= windowMs) {
+    window = { windowStart: now, count: 0 };
+    rateLimitWindows.set(apiToken.name, window);
+  }
+  if (window.count >= requests) {
+    return Math.ceil((window.windowStart + windowMs - now) / 1000);
+  }
+  window.count++;
+  return 0;
 }
 
-// Pending requests: Map<taskId, {resolve, reject, timer}>
+// Pending requests: Map<taskId, {resolve, reject, timer, url, options}>
 const pendingRequests = new Map();
 
+// Chunked RESULT payloads being reassembled: Map<taskId, Map<field, string[]>>
+const incomingChunks = new Map();
+
+// Async jobs: Map<jobId, {id, taskId, url, callbackUrl, createdAt, finishedAt, cancelled, result, callback}>
+const jobs = new Map();
+
+// Requests waiting for a free extension slot, highest priority first, FIFO within a priority
+const requestQueue = [];
+
+// Tasks sent to the extension and not answered yet: Map<taskId, dispatchedAt>
+const inFlightTasks = new Map();
+
+// Parallel tabs the extension runs, reported in its STATUS messages
+let extensionCapacity = 1;
+
+// Set once shutdown starts: new requests get 503 and open responses are drained
+let shuttingDown = false;
+
+// HTTP responses not yet flushed, so shutdown knows when it may exit
+let openResponses = 0;
+
+// What the extension reported in HELLO; null until it sends one (older extensions never do)
+let extensionInfo = null;
+
+// Extension liveness, from the PING/PONG exchange
+const heartbeat = {
+  timer: null,
+  nextId: 1,
+  pending: new Map(), // ping id -> sentAt
+  lastPongAt: null,
+  rttMs: null,
+};
+
 // Native messaging protocol helpers
 const MAX_MESSAGE_BYTES = 1024 * 1024;
 const OVERSIZE_LOG_WINDOW_MS = 5000;
@@ -148,13 +331,273 @@ function sendMessage(message) {
   process.stdout.write(lengthBuffer);
   process.stdout.write(messageBuffer);
 
-  log(`Sent to extension: ${message.type}`);
+  if (!HEARTBEAT_MESSAGES.includes(message.type)) {
+    log(`Sent to extension: ${message.type}`);
+  }
 }
 
 function generateTaskId() {
   return `task_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
 }
 
+function isQueueFull() {
+  return requestQueue.length >= MAX_QUEUE_SIZE;
+}
+
+function enqueueRequest(entry) {
+  const index = requestQueue.findIndex((queued) => queued.priority < entry.priority);
+  if (index === -1) {
+    requestQueue.push(entry);
+  } else {
+    requestQueue.splice(index, 0, entry);
+  }
+}
+
+function removeQueuedRequest(taskId) {
+  const index = requestQueue.findIndex((queued) => queued.taskId === taskId);
+  if (index !== -1) {
+    requestQueue.splice(index, 1);
+  }
+}
+
+// Send queued requests to the extension while it has free slots
+function dispatchQueue() {
+  if (extensionInfo && !extensionInfo.accepted) {
+    return;
+  }
+  while (requestQueue.length > 0 && inFlightTasks.size < extensionCapacity) {
+    const entry = requestQueue.shift();
+    inFlightTasks.set(entry.taskId, Date.now());
+    log(`Dispatching ${entry.taskId} after ${Date.now() - entry.enqueuedAt}ms in queue`);
+
+    sendMessage({
+      type: 'SCRAPE',
+      taskId: entry.taskId,
+      url: entry.url,
+      options: entry.options,
+    });
+  }
+}
+
+// Drop a task from the queue and in-flight set once it has an outcome
+function settleTask(taskId) {
+  pendingRequests.delete(taskId);
+  incomingChunks.delete(taskId);
+  removeQueuedRequest(taskId);
+  if (inFlightTasks.delete(taskId)) {
+    dispatchQueue();
+  }
+}
+
+// Give up on a task. A dispatched task is cancelled in the extension and keeps
+// its slot until the extension reports back, so the next task cannot start
+// while the abandoned tab is still open.
+function abandonTask(taskId, reason) {
+  pendingRequests.delete(taskId);
+  incomingChunks.delete(taskId);
+  removeQueuedRequest(taskId);
+  if (inFlightTasks.has(taskId)) {
+    log(`Cancelling ${taskId} in extension: ${reason}`);
+    sendMessage({ type: 'CANCEL', taskId, reason });
+  }
+}
+
+function getQueueStats() {
+  const oldest = requestQueue.reduce(
+    (min, entry) => Math.min(min, entry.enqueuedAt),
+    Infinity
+  );
+
+  return {
+    depth: requestQueue.length,
+    max_depth: MAX_QUEUE_SIZE,
+    in_flight: inFlightTasks.size,
+    capacity: extensionCapacity,
+    oldest_wait_ms: requestQueue.length > 0 ? Date.now() - oldest : 0,
+  };
+}
+
+// Queue a scrape and return its taskId with a promise for the result object
+function scheduleScrape(url, options = {}) {
+  const taskId = generateTaskId();
+
+  // Batches keep feeding URLs while they drain; those fail without reaching the extension
+  if (shuttingDown) {
+    return { taskId, result: Promise.resolve(buildDisconnectedResult(url, 'Native host is shutting down')) };
+  }
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+  const result = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      abandonTask(taskId, 'Request timeout');
+      resolve({
+        error: 'Request timeout',
+        error_code: 'timeout',
+        status_code: 0,
+        content_size: 0,
+        final_url: url,
+      });
+    }, timeout);
+
+    pendingRequests.set(taskId, { resolve, reject, timer, url, options });
+  });
+
+  enqueueRequest({
+    taskId,
+    url,
+    options,
+    priority: Number(options.priority) || 0,
+    enqueuedAt: Date.now(),
+  });
+  dispatchQueue();
+
+  return { taskId, result };
+}
+
+function buildDisconnectedResult(url, error) {
+  return {
+    error,
+    error_code: 'extension_disconnected',
+    status_code: 0,
+    content_size: 0,
+    final_url: url,
+  };
+}
+
+// Answer every queued and in-flight request with an error and clear their timers
+function failPendingRequests(error) {
+  for (const [taskId, pending] of pendingRequests) {
+    clearTimeout(pending.timer);
+    pending.resolve(buildDisconnectedResult(pending.url, error));
+    log(`Failed pending request ${taskId}: ${error}`);
+  }
+  pendingRequests.clear();
+  requestQueue.length = 0;
+  inFlightTasks.clear();
+  incomingChunks.clear();
+}
+
+function sendHeartbeat() {
+  const id = heartbeat.nextId++;
+  const sentAt = Date.now();
+  heartbeat.pending.set(id, sentAt);
+  // Unanswered pings older than the down threshold will never count
+  for (const [pingId, pingSentAt] of heartbeat.pending) {
+    if (sentAt - pingSentAt > HEARTBEAT_INTERVAL * HEARTBEAT_DOWN_AFTER) {
+      heartbeat.pending.delete(pingId);
+    }
+  }
+  sendMessage({ type: 'PING', id, timestamp: new Date(sentAt).toISOString() });
+}
+
+function startHeartbeat() {
+  sendHeartbeat();
+  heartbeat.timer = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+}
+
+function handlePong(message) {
+  // Extensions from before ping ids answer with a bare PONG; count it against the oldest ping
+  const id = message.id === undefined ? heartbeat.pending.keys().next().value : message.id;
+  const sentAt = heartbeat.pending.get(id);
+  if (sentAt === undefined) {
+    return;
+  }
+  heartbeat.pending.delete(id);
+  heartbeat.lastPongAt = Date.now();
+  heartbeat.rttMs = heartbeat.lastPongAt - sentAt;
+}
+
+// "up" while PONGs arrive on time, "stale" after missed heartbeats, "down" when the
+// extension never answered, stopped answering, or disconnected
+function getExtensionState() {
+  if (shuttingDown || heartbeat.lastPongAt === null) {
+    return 'down';
+  }
+  const age = Date.now() - heartbeat.lastPongAt;
+  if (age > HEARTBEAT_INTERVAL * HEARTBEAT_DOWN_AFTER) {
+    return 'down';
+  }
+  return age > HEARTBEAT_INTERVAL * HEARTBEAT_STALE_AFTER ? 'stale' : 'up';
+}
+
+function handleHello(message) {
+  const accepted = message.protocolVersion === PROTOCOL_VERSION;
+  const capabilities = message.capabilities || {};
+  extensionInfo = {
+    accepted,
+    protocolVersion: message.protocolVersion,
+    version: message.extensionVersion || null,
+    capabilities,
+    handshakeAt: Date.now(),
+    error: accepted
+      ? null
+      : `Extension speaks protocol ${message.protocolVersion}, host speaks ${PROTOCOL_VERSION}`,
+  };
+
+  if (accepted) {
+    log(`Handshake with extension ${extensionInfo.version} (protocol ${message.protocolVersion})`);
+    if (typeof capabilities.maxConcurrency === 'number' && capabilities.maxConcurrency > 0) {
+      extensionCapacity = capabilities.maxConcurrency;
+    }
+  } else {
+    log(`Handshake refused: ${extensionInfo.error}`);
+    failPendingRequests(`Incompatible extension: ${extensionInfo.error}`);
+  }
+
+  sendMessage({
+    type: 'HELLO_ACK',
+    accepted,
+    error: extensionInfo.error || undefined,
+    protocolVersion: PROTOCOL_VERSION,
+    hostVersion: HOST_VERSION,
+    capabilities: HOST_CAPABILITIES,
+    urlPolicy: URL_POLICY,
+  });
+
+  if (accepted) {
+    dispatchQueue();
+  }
+}
+
+// Names of requested options the connected extension did not list in its HELLO
+function getUnsupportedExtensionOptions(options) {
+  const supported = extensionInfo?.capabilities?.options;
+  if (!Array.isArray(supported)) {
+    return [];
+  }
+  return EXTENSION_FEATURE_OPTIONS.filter(
+    (name) => options[name] !== undefined && !supported.includes(name)
+  );
+}
+
+// Refuse work the connected extension cannot do; returns an error body or null
+function checkExtensionSupport(options) {
+  if (extensionInfo && !extensionInfo.accepted) {
+    return {
+      error: `Incompatible extension: ${extensionInfo.error}`,
+      error_code: 'extension_incompatible',
+    };
+  }
+  const unsupported = getUnsupportedExtensionOptions(options);
+  if (unsupported.length > 0) {
+    return {
+      error: `Not supported by extension ${extensionInfo.version}: ${unsupported.join(', ')}`,
+      error_code: 'unsupported_option',
+    };
+  }
+  return null;
+}
+
+// Check a URL against the configured URL policy; returns an error response body or null
+async function checkScrapeUrl(url) {
+  const violation = await checkUrlPolicy(url, URL_POLICY);
+  if (!violation) {
+    return null;
+  }
+  log(`URL policy blocked ${url}: ${violation}`);
+  return { error: violation, error_code: 'policy_blocked' };
+}
+
 // Decompress base64+gzip encoded HTML
 async function decompressHtml(compressedBase64) {
   try {
@@ -170,16 +613,346 @@ async function decompressHtml(compressedBase64) {
   }
 }
 
+// Resolve a queued or in-flight task as cancelled
+function cancelTask(taskId, reason = 'Cancelled') {
+  const pending = pendingRequests.get(taskId);
+  if (!pending) {
+    return false;
+  }
+
+  clearTimeout(pending.timer);
+  abandonTask(taskId, reason);
+  pending.resolve({
+    error: reason,
+    error_code: 'cancelled',
+    cancelled: true,
+    status_code: 0,
+    content_size: 0,
+    final_url: pending.url,
+  });
+  return true;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Returns an error message when scrape options are invalid, null otherwise
+function validateScrapeOptions(options) {
+  if (options.formats !== undefined) {
+    if (!Array.isArray(options.formats) || options.formats.length === 0) {
+      return 'options.formats must be a non-empty array';
+    }
+    const unsupported = getUnsupportedFormats(options.formats);
+    if (unsupported.length > 0) {
+      return `Unsupported formats: ${unsupported.join(', ')} (supported: ${SUPPORTED_FORMATS.join(', ')})`;
+    }
+  }
+  if (options.actions !== undefined) {
+    if (!Array.isArray(options.actions)) {
+      return 'options.actions must be an array';
+    }
+    if (options.actions.length > MAX_PAGE_ACTIONS) {
+      return `Too many actions (max ${MAX_PAGE_ACTIONS})`;
+    }
+    const unknown = options.actions.findIndex(
+      (action) => !action || !PAGE_ACTION_TYPES.some((type) => action[type] !== undefined)
+    );
+    if (unknown !== -1) {
+      return `Unknown action at index ${unknown} (expected one of: ${PAGE_ACTION_TYPES.join(', ')})`;
+    }
+  }
+  if (options.waitUntil !== undefined && !WAIT_UNTIL_CONDITIONS.includes(options.waitUntil)) {
+    return `options.waitUntil must be one of: ${WAIT_UNTIL_CONDITIONS.join(', ')}`;
+  }
+  if (options.waitForFunction !== undefined &&
+    (typeof options.waitForFunction !== 'string' || !options.waitForFunction.trim())) {
+    return 'options.waitForFunction must be a JavaScript expression string';
+  }
+  if (options.autoScroll !== undefined &&
+    typeof options.autoScroll !== 'boolean' &&
+    (!options.autoScroll || typeof options.autoScroll !== 'object')) {
+    return 'options.autoScroll must be true or an object';
+  }
+  if (options.headers !== undefined) {
+    if (!isPlainObject(options.headers)) {
+      return 'options.headers must be an object of header names to values';
+    }
+    const invalidHeader = Object.entries(options.headers)
+      .find(([, value]) => typeof value !== 'string' && typeof value !== 'number');
+    if (invalidHeader) {
+      return `Header ${invalidHeader[0]} must have a string value`;
+    }
+  }
+  if (options.headerDomains !== undefined &&
+    (!Array.isArray(options.headerDomains) ||
+      options.headerDomains.some((domain) => typeof domain !== 'string' || !domain.trim()))) {
+    return 'options.headerDomains must be an array of domain names';
+  }
+  if (options.cookies !== undefined) {
+    const cookieList = Array.isArray(options.cookies) ? options.cookies : null;
+    if (!cookieList && !isPlainObject(options.cookies)) {
+      return 'options.cookies must be an array of cookies or an object of names to values';
+    }
+    if (cookieList && cookieList.some((cookie) => !isPlainObject(cookie) || !cookie.name)) {
+      return 'Each cookie needs at least a name and value';
+    }
+  }
+  if (options.block !== undefined) {
+    if (!isPlainObject(options.block)) {
+      return 'options.block must be an object with resourceTypes, urlPatterns and/or presets';
+    }
+    for (const key of ['resourceTypes', 'urlPatterns', 'presets']) {
+      const value = options.block[key];
+      if (value !== undefined && (!Array.isArray(value) || value.some((item) => typeof item !== 'string'))) {
+        return `options.block.${key} must be an array of strings`;
+      }
+    }
+    const unknownType = (options.block.resourceTypes || []).find((type) => !BLOCK_RESOURCE_TYPES.includes(type));
+    if (unknownType) {
+      return `Unknown resource type to block: ${unknownType} (expected one of: ${BLOCK_RESOURCE_TYPES.join(', ')})`;
+    }
+    // Presets are defined by the extension; without a handshake yet it checks them itself
+    const presets = extensionInfo?.capabilities?.blockPresets;
+    const unknownPreset = Array.isArray(presets) &&
+      (options.block.presets || []).find((preset) => !presets.includes(preset));
+    if (unknownPreset) {
+      return `Unknown block preset: ${unknownPreset} (available: ${presets.join(', ')})`;
+    }
+  }
+  if (options.captureNetwork !== undefined &&
+    typeof options.captureNetwork !== 'boolean' &&
+    !isPlainObject(options.captureNetwork)) {
+    return 'options.captureNetwork must be true or an object';
+  }
+  if (isPlainObject(options.captureNetwork)) {
+    for (const key of ['urlPatterns', 'resourceTypes']) {
+      const value = options.captureNetwork[key];
+      if (value !== undefined && (!Array.isArray(value) || value.some((item) => typeof item !== 'string'))) {
+        return `options.captureNetwork.${key} must be an array of strings`;
+      }
+    }
+  }
+  if (options.extract !== undefined) {
+    if (!isPlainObject(options.extract)) {
+      return 'options.extract must be an object mapping field names to selectors';
+    }
+  }
+  return null;
+}
+
+// Add markdown/text renditions and drop html unless it was asked for
+function applyOutputFormats(result, formats) {
+  if (!formats) {
+    return;
+  }
+
+  try {
+    Object.assign(result, convertHtml(result.html, formats));
+  } catch (error) {
+    log(`Format conversion failed: ${error.message}`);
+    result.format_error = error.message;
+  }
+
+  if (!formats.includes('html')) {
+    delete result.html;
+  }
+}
+
+function generateJobId() {
+  return `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function getJobStatus(job) {
+  if (job.cancelled) {
+    return 'cancelled';
+  }
+  if (job.result) {
+    return job.result.error ? 'failed' : 'completed';
+  }
+  return inFlightTasks.has(job.taskId) ? 'running' : 'queued';
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: getJobStatus(job),
+    url: job.url,
+    created_at: new Date(job.createdAt).toISOString(),
+    finished_at: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    callback: job.callback || null,
+    result: job.result || null,
+  };
+}
+
+// Callbacks are requests the host itself makes, so they may not reach private networks either
+async function checkCallbackUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (e) {
+    return 'callbackUrl must be an http(s) URL';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'callbackUrl must be an http(s) URL';
+  }
+  const violation = await checkUrlPolicy(value, CALLBACK_URL_POLICY);
+  return violation ? `callbackUrl not allowed: ${violation}` : null;
+}
+
+// POST the finished result to the job's callbackUrl, recording the outcome on the job
+async function deliverJobCallback(job) {
+  try {
+    const response = await fetch(job.callbackUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Scraper-Job-Id': job.id,
+        'X-Scraper-Job-Status': getJobStatus(job),
+      },
+      body: JSON.stringify(job.result),
+      // A redirect could point anywhere, past the policy check done on submission
+      redirect: 'manual',
+      signal: AbortSignal.timeout(CALLBACK_TIMEOUT),
+    });
+    job.callback = { delivered: response.ok, status_code: response.status };
+    log(`Callback for ${job.id} -> ${response.status}`);
+  } catch (error) {
+    job.callback = { delivered: false, error: error.message };
+    log(`Callback for ${job.id} failed: ${error.message}`);
+  }
+}
+
+function createJob(url, options, callbackUrl) {
+  const { taskId, result } = scheduleScrape(url, options);
+  const job = {
+    id: generateJobId(),
+    taskId,
+    url,
+    callbackUrl: callbackUrl || null,
+    createdAt: Date.now(),
+    finishedAt: null,
+    cancelled: false,
+    result: null,
+    callback: null,
+  };
+  jobs.set(job.id, job);
+
+  result.then(async (outcome) => {
+    job.result = outcome;
+    job.finishedAt = Date.now();
+    log(`Job ${job.id} finished: ${getJobStatus(job)}`);
+
+    if (job.callbackUrl) {
+      await deliverJobCallback(job);
+    }
+
+    // Finished jobs are kept around for polling, then dropped
+    setTimeout(() => jobs.delete(job.id), JOB_TTL).unref();
+  });
+
+  return job;
+}
+
+function storeResultChunk(message) {
+  const { taskId, field, index, total, data } = message;
+  // Nobody is waiting for a task that timed out, was cancelled or was failed
+  const pending = pendingRequests.get(taskId);
+  if (!pending) {
+    return;
+  }
+
+  if (!Number.isInteger(total) || !Number.isInteger(index) ||
+      index < 0 || index >= total || total > MAX_CHUNKS) {
+    log(`Invalid result chunk for ${taskId}: index ${index} of ${total}`);
+    clearTimeout(pending.timer);
+    settleTask(taskId);
+    pending.resolve({
+      error: `Chunked transfer failed: invalid chunk ${index} of ${total}`,
+      error_code: 'internal_error',
+      status_code: 0,
+      content_size: 0,
+      final_url: pending.url,
+    });
+    return;
+  }
+
+  let fields = incomingChunks.get(taskId);
+  if (!fields) {
+    fields = new Map();
+    incomingChunks.set(taskId, fields);
+  }
+
+  let chunks = fields.get(field);
+  if (!chunks) {
+    chunks = new Array(total);
+    fields.set(field, chunks);
+  }
+
+  chunks[index] = data;
+}
+
+// Rebuild the fields listed in message.transfer from their chunks, verifying each by checksum
+async function reassembleTransfer(transfer, fields) {
+  const assembled = {};
+
+  for (const [field, spec] of Object.entries(transfer)) {
+    const chunks = fields.get(field) || [];
+    let received = 0;
+    for (let i = 0; i < spec.chunks; i++) {
+      if (typeof chunks[i] === 'string') {
+        received += 1;
+      }
+    }
+    if (received !== spec.chunks) {
+      throw new Error(`Missing chunks for ${field}: received ${received}/${spec.chunks}`);
+    }
+
+    const data = chunks.slice(0, spec.chunks).join('');
+    const checksum = crypto.createHash('sha256').update(data, 'utf8').digest('hex');
+    if (checksum !== spec.sha256) {
+      throw new Error(`Checksum mismatch for ${field}`);
+    }
+
+    assembled[field] = spec.encoding === 'gzip+base64' ? await decompressHtml(data) : data;
+    log(`Reassembled ${field}: ${spec.chunks} chunks, ${data.length} chars (${spec.encoding})`);
+  }
+
+  return assembled;
+}
+
 async function handleExtensionMessage(message) {
-  log(`Received from extension: ${message.type}`);
+  if (!HEARTBEAT_MESSAGES.includes(message.type)) {
+    log(`Received from extension: ${message.type}`);
+  }
 
-  if (message.type === 'RESULT') {
+  if (message.type === 'RESULT_CHUNK') {
+    storeResultChunk(message);
+  } else if (message.type === 'RESULT') {
     const { taskId } = message;
     const pending = pendingRequests.get(taskId);
+    const chunkedFields = incomingChunks.get(taskId) || new Map();
+    incomingChunks.delete(taskId);
 
     if (pending) {
       clearTimeout(pending.timer);
-      pendingRequests.delete(taskId);
+      settleTask(taskId);
+
+      if (message.success && message.transfer) {
+        try {
+          Object.assign(message, await reassembleTransfer(message.transfer, chunkedFields));
+        } catch (error) {
+          log(`Chunked transfer failed: ${error.message}`);
+          pending.resolve({
+            error: `Chunked transfer failed: ${error.message}`,
+            error_code: 'internal_error',
+            status_code: 0,
+            content_size: 0,
+            final_url: message.final_url || message.url,
+          });
+          return;
+        }
+      }
 
       if (message.success) {
         let html = message.html;
@@ -193,6 +966,7 @@ async function handleExtensionMessage(message) {
             log(`Failed to decompress HTML: ${error.message}`);
             pending.resolve({
               error: `Decompression failed: ${error.message}`,
+              error_code: 'internal_error',
               status_code: 0,
               content_size: 0,
               final_url: message.final_url || message.url,
@@ -201,55 +975,216 @@ async function handleExtensionMessage(message) {
           }
         }
 
-        pending.resolve({
+        const result = {
           html: html,
           status_code: message.status_code,
           content_size: html ? html.length : 0,
           final_url: message.final_url || message.url,
-        });
+        };
+        if (message.truncated) {
+          result.truncated = true;
+        }
+        if (message.format !== 'mhtml') {
+          applyOutputFormats(result, pending.options.formats);
+        }
+        if (message.format === 'mhtml') {
+          result.format = 'mhtml';
+          result.mhtml = message.mhtml_data;
+          result.content_size = message.mhtml_bytes || 0;
+        }
+        if (message.actions) {
+          result.actions = message.actions;
+        }
+        if (message.auto_scroll) {
+          result.auto_scroll = message.auto_scroll;
+        }
+        if (message.blocked) {
+          result.blocked = message.blocked;
+        }
+        if (message.meta) {
+          result.meta = message.meta;
+        }
+        if (message.waits) {
+          result.waits = message.waits;
+        }
+        if (message.debug) {
+          result.debug = message.debug;
+        }
+        if (message.har_json) {
+          try {
+            result.har = JSON.parse(message.har_json);
+          } catch (error) {
+            log(`Invalid HAR from extension: ${error.message}`);
+            result.har_error = error.message;
+          }
+        }
+        if (message.data !== undefined) {
+          result.data = message.data;
+        }
+        if (message.extract_errors) {
+          result.extract_errors = message.extract_errors;
+        }
+        if (message.screenshot) {
+          result.screenshot = message.screenshot_data
+            ? { ...message.screenshot, data: message.screenshot_data }
+            : message.screenshot;
+        }
+
+        pending.resolve(result);
       } else {
         pending.resolve({
           error: message.error,
+          error_code: message.error_code || 'internal_error',
+          net_error: message.net_error,
           status_code: message.status_code || 0,
           content_size: 0,
           final_url: message.final_url || message.url,
         });
       }
     } else {
-      log(`No pending request found for taskId: ${taskId}`);
+      if (message.cancelled) {
+        log(`Extension stopped cancelled task: ${taskId}`);
+      } else {
+        log(`No pending request found for taskId: ${taskId}`);
+      }
+      // Slot is free again even if the HTTP client already gave up
+      settleTask(taskId);
     }
   } else if (message.type === 'PONG') {
-    // Response to keep-alive ping
+    handlePong(message);
+  } else if (message.type === 'HELLO') {
+    handleHello(message);
   } else if (message.type === 'STATUS') {
     // Status update from extension
     log(`Extension status: ${message.status}`);
+    if (typeof message.capacity === 'number' && message.capacity > 0) {
+      extensionCapacity = message.capacity;
+      dispatchQueue();
+    }
   }
 }
 
+// HTTP status /scrape answers with for each error_code
+const ERROR_HTTP_STATUS = {
+  invalid_request: 400,
+  blocked_by_client: 403,
+  dns_failure: 502,
+  connection_refused: 502,
+  connection_failed: 502,
+  tls_error: 502,
+  network_error: 502,
+  aborted: 502,
+  http_error: 502,
+  timeout: 504,
+  extension_disconnected: 503,
+  extension_incompatible: 503,
+  unsupported_option: 400,
+  queue_full: 429,
+  unauthorized: 401,
+  forbidden: 403,
+  rate_limited: 429,
+  not_found: 404,
+  job_finished: 409,
+  policy_blocked: 403,
+  extraction_failed: 500,
+  cancelled: 500,
+  internal_error: 500,
+};
+
+function getErrorHttpStatus(errorCode) {
+  return ERROR_HTTP_STATUS[errorCode] || 500;
+}
+
+const IMAGE_RESPONSE_FORMATS = {
+  png: 'png',
+  jpeg: 'jpeg',
+  jpg: 'jpeg',
+};
+
+// Split an MHTML archive into its top-level MIME headers and multipart body
+function parseMhtml(buffer) {
+  const text = buffer.toString('latin1');
+  const separator = text.search(/\r?\n\r?\n/);
+  if (separator === -1) {
+    return null;
+  }
+
+  const headerBlock = text.slice(0, separator).replace(/\r?\n[ \t]+/g, ' ');
+  const contentType = headerBlock
+    .split(/\r?\n/)
+    .find((line) => /^content-type:/i.test(line));
+
+  if (!contentType) {
+    return null;
+  }
+
+  const bodyStart = separator + text.slice(separator).match(/^\r?\n\r?\n/)[0].length;
+  return {
+    contentType: contentType.slice(contentType.indexOf(':') + 1).trim(),
+    body: buffer.subarray(bodyStart),
+  };
+}
+
 // Create Hono app
 const app = new Hono();
 
+// Refuse new work once shutdown has started
+app.use('*', async (c, next) => {
+  if (shuttingDown) {
+    c.header('Connection', 'close');
+    return c.json({ error: 'Native host is shutting down', error_code: 'extension_disconnected' }, 503);
+  }
+  return next();
+});
+
 // Bearer token authentication middleware
 app.use('*', async (c, next) => {
   // Skip auth if no token is configured
-  if (!AUTH_TOKEN) {
+  if (apiTokens.length === 0) {
+    return next();
+  }
+
+  if (PUBLIC_HEALTH && c.req.method === 'GET' && c.req.path === '/health') {
     return next();
   }
 
   const authHeader = c.req.header('Authorization');
+  const route = `${c.req.method} ${c.req.path}`;
 
   if (!authHeader) {
-    return c.json({ error: 'Authorization header required' }, 401);
+    log(`Auth rejected (no token): ${route}`);
+    return c.json({ error: 'Authorization header required', error_code: 'unauthorized' }, 401);
   }
 
   if (!authHeader.startsWith('Bearer ')) {
-    return c.json({ error: 'Invalid authorization format. Use: Bearer <token>' }, 401);
+    log(`Auth rejected (malformed header): ${route}`);
+    return c.json({ error: 'Invalid authorization format. Use: Bearer <token>', error_code: 'unauthorized' }, 401);
   }
 
   const token = authHeader.slice(7); // Remove 'Bearer ' prefix
+  const apiToken = findApiToken(token);
 
-  if (token !== AUTH_TOKEN) {
-    return c.json({ error: 'Invalid token' }, 401);
+  if (!apiToken) {
+    log(`Auth rejected (unknown token): ${route}`);
+    return c.json({ error: 'Invalid token', error_code: 'unauthorized' }, 401);
+  }
+
+  if (apiToken.expiresAt !== null && Date.now() >= apiToken.expiresAt) {
+    log(`Auth rejected (token ${apiToken.name} expired): ${route}`);
+    return c.json({ error: 'Token expired', error_code: 'unauthorized' }, 401);
+  }
+
+  const scope = getRequiredScope(c.req.path);
+  if (!apiToken.scopes.includes(scope)) {
+    log(`Auth rejected (token ${apiToken.name} lacks scope ${scope}): ${route}`);
+    return c.json({ error: `Token lacks the ${scope} scope`, error_code: 'forbidden' }, 403);
+  }
+
+  const retryAfter = consumeRateLimit(apiToken);
+  if (retryAfter > 0) {
+    log(`Auth rejected (token ${apiToken.name} rate limited): ${route}`);
+    c.header('Retry-After', String(retryAfter));
+    return c.json({ error: 'Rate limit exceeded', error_code: 'rate_limited' }, 429);
   }
 
   return next();
@@ -257,10 +1192,49 @@ app.use('*', async (c, next) => {
 
 // Health endpoint
 app.get('/health', (c) => {
+  const extension = getExtensionState();
+  const lastPongAt = heartbeat.lastPongAt;
   return c.json({
-    status: 'ok',
+    status: { up: 'ok', stale: 'degraded', down: 'unavailable' }[extension],
+    extension,
+    heartbeat: {
+      interval_ms: HEARTBEAT_INTERVAL,
+      last_pong_at: lastPongAt ? new Date(lastPongAt).toISOString() : null,
+      last_pong_age_ms: lastPongAt ? Date.now() - lastPongAt : null,
+      rtt_ms: heartbeat.rttMs,
+    },
     pending: pendingRequests.size,
+    jobs: jobs.size,
+    queue: getQueueStats(),
     timestamp: new Date().toISOString(),
+  }, extension === 'down' ? 503 : 200);
+});
+
+// Versions and capabilities of both sides, as negotiated in the HELLO handshake
+app.get('/info', (c) => {
+  const hostEncodings = HOST_CAPABILITIES.encodings;
+  const extensionCapabilities = extensionInfo?.capabilities || {};
+  return c.json({
+    protocol_version: PROTOCOL_VERSION,
+    host: {
+      version: HOST_VERSION,
+      capabilities: HOST_CAPABILITIES,
+    },
+    extension: extensionInfo && {
+      accepted: extensionInfo.accepted,
+      error: extensionInfo.error,
+      version: extensionInfo.version,
+      protocol_version: extensionInfo.protocolVersion,
+      capabilities: extensionCapabilities,
+      handshake_at: new Date(extensionInfo.handshakeAt).toISOString(),
+    },
+    negotiated: extensionInfo?.accepted ? {
+      encodings: Array.isArray(extensionCapabilities.encodings)
+        ? extensionCapabilities.encodings.filter((encoding) => hostEncodings.includes(encoding))
+        : hostEncodings,
+      options: extensionCapabilities.options || null,
+      max_concurrency: extensionCapacity,
+    } : null,
   });
 });
 
@@ -270,42 +1244,61 @@ app.post('/scrape', async (c) => {
   try {
     body = await c.req.json();
   } catch (e) {
-    return c.json({ error: 'Invalid JSON body' }, 400);
+    return c.json({ error: 'Invalid JSON body', error_code: 'invalid_request' }, 400);
   }
 
   const { url, options = {} } = body;
 
   if (!url) {
-    return c.json({ error: 'URL is required' }, 400);
+    return c.json({ error: 'URL is required', error_code: 'invalid_request' }, 400);
   }
 
-  const taskId = generateTaskId();
-  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const optionsError = validateScrapeOptions(options);
+  if (optionsError) {
+    return c.json({ error: optionsError, error_code: 'invalid_request' }, 400);
+  }
 
-  log(`Scrape request: ${taskId} -> ${url}`);
+  const policyError = await checkScrapeUrl(url);
+  if (policyError) {
+    return c.json(policyError, 403);
+  }
 
-  // Create promise for this request
-  const resultPromise = new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      pendingRequests.delete(taskId);
-      resolve({
-        error: 'Request timeout',
-        status_code: 0,
-        content_size: 0,
-        final_url: url,
-      });
-    }, timeout);
+  // ?format=mhtml answers with the archive as multipart/related instead of JSON
+  const wantsMhtmlBody = c.req.query('format') === 'mhtml';
+  if (wantsMhtmlBody) {
+    options.format = 'mhtml';
+  }
 
-    pendingRequests.set(taskId, { resolve, reject, timer });
-  });
+  // ?format=png|jpeg answers with the screenshot image itself instead of JSON
+  const imageFormat = IMAGE_RESPONSE_FORMATS[c.req.query('format')];
+  if (imageFormat) {
+    const requested = options.screenshot;
+    options.screenshot = {
+      ...(typeof requested === 'string' ? { mode: requested } : {}),
+      ...(requested && typeof requested === 'object' ? requested : {}),
+      format: imageFormat,
+    };
+  }
 
-  // Send SCRAPE command to extension
-  sendMessage({
-    type: 'SCRAPE',
-    taskId,
-    url,
-    options,
-  });
+  const supportError = checkExtensionSupport(options);
+  if (supportError) {
+    return c.json(supportError, getErrorHttpStatus(supportError.error_code));
+  }
+
+  if (isQueueFull()) {
+    log(`Queue full (${requestQueue.length}), rejecting ${url}`);
+    c.header('Retry-After', String(QUEUE_RETRY_AFTER_SECONDS));
+    return c.json({ error: 'Queue is full, retry later', error_code: 'queue_full', queue: getQueueStats() }, 429);
+  }
+
+  const { taskId, result: resultPromise } = scheduleScrape(url, options);
+
+  log(`Scrape request: ${taskId} -> ${url}`);
+
+  // Stop the browser work when the client disconnects before the result is ready
+  c.req.raw.signal.addEventListener('abort', () => {
+    cancelTask(taskId, 'Client disconnected');
+  }, { once: true });
 
   // Wait for result
   const result = await resultPromise;
@@ -313,12 +1306,233 @@ app.post('/scrape', async (c) => {
   log(`Scrape result: ${taskId} -> ${result.error ? 'error' : 'success'}`);
 
   if (result.error) {
-    return c.json(result, 500);
+    return c.json(result, getErrorHttpStatus(result.error_code));
+  }
+
+  if (wantsMhtmlBody) {
+    const archive = parseMhtml(Buffer.from(result.mhtml || '', 'base64'));
+    if (!archive) {
+      return c.json({
+        error: 'MHTML capture returned an invalid archive',
+        error_code: 'extraction_failed',
+        status_code: result.status_code,
+        content_size: 0,
+        final_url: result.final_url,
+      }, 500);
+    }
+
+    return c.body(archive.body, 200, {
+      'Content-Type': archive.contentType,
+      'X-Final-Url': result.final_url,
+      'X-Status-Code': String(result.status_code),
+    });
+  }
+
+  if (imageFormat) {
+    if (!result.screenshot?.data) {
+      return c.json({
+        error: `Screenshot failed: ${result.screenshot?.error || 'no image captured'}`,
+        error_code: 'extraction_failed',
+        status_code: result.status_code,
+        content_size: 0,
+        final_url: result.final_url,
+      }, 500);
+    }
+
+    return c.body(Buffer.from(result.screenshot.data, 'base64'), 200, {
+      'Content-Type': `image/${imageFormat}`,
+      'X-Final-Url': result.final_url,
+      'X-Status-Code': String(result.status_code),
+    });
   }
 
   return c.json(result);
 });
 
+// Batch endpoint - streams one NDJSON line per URL as each finishes
+app.post('/scrape/batch', async (c) => {
+  let body;
+  try {
+    body = await c.req.json();
+  } catch (e) {
+    return c.json({ error: 'Invalid JSON body', error_code: 'invalid_request' }, 400);
+  }
+
+  const { urls, options = {} } = body;
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return c.json({ error: 'urls must be a non-empty array', error_code: 'invalid_request' }, 400);
+  }
+
+  if (urls.length > MAX_BATCH_SIZE) {
+    return c.json({ error: `Batch too large (max ${MAX_BATCH_SIZE} URLs)`, error_code: 'invalid_request' }, 400);
+  }
+
+  // Each item is a URL string or {url, options} overriding the shared options
+  const items = urls.map((item, index) => {
+    const entry = typeof item === 'string' ? { url: item } : (item || {});
+    return {
+      index,
+      url: entry.url,
+      options: { ...options, ...(entry.options || {}) },
+    };
+  });
+
+  const invalid = items.find((item) => typeof item.url !== 'string' || !item.url);
+  if (invalid) {
+    return c.json({ error: `URL is required (index ${invalid.index})`, error_code: 'invalid_request' }, 400);
+  }
+
+  for (const item of items) {
+    const optionsError = validateScrapeOptions(item.options);
+    if (optionsError) {
+      return c.json({ error: `${optionsError} (index ${item.index})`, error_code: 'invalid_request' }, 400);
+    }
+    const supportError = checkExtensionSupport(item.options);
+    if (supportError) {
+      return c.json(
+        { ...supportError, error: `${supportError.error} (index ${item.index})` },
+        getErrorHttpStatus(supportError.error_code)
+      );
+    }
+    const policyError = await checkScrapeUrl(item.url);
+    if (policyError) {
+      return c.json({ ...policyError, error: `${policyError.error} (index ${item.index})` }, 403);
+    }
+  }
+
+  if (isQueueFull()) {
+    log(`Queue full (${requestQueue.length}), rejecting batch of ${items.length}`);
+    c.header('Retry-After', String(QUEUE_RETRY_AFTER_SECONDS));
+    return c.json({ error: 'Queue is full, retry later', error_code: 'queue_full', queue: getQueueStats() }, 429);
+  }
+
+  log(`Batch request: ${items.length} URLs`);
+  c.header('Content-Type', 'application/x-ndjson');
+
+  return stream(c, async (output) => {
+    const outstanding = new Set();
+    let nextIndex = 0;
+    let aborted = false;
+
+    output.onAbort(() => {
+      aborted = true;
+      log(`Batch aborted by client, cancelling ${outstanding.size} tasks`);
+      for (const taskId of outstanding) {
+        cancelTask(taskId, 'Batch aborted');
+      }
+    });
+
+    // Only feed the shared queue as fast as the extension can drain it
+    await new Promise((resolve) => {
+      const feed = () => {
+        while (
+          !aborted &&
+          nextIndex < items.length &&
+          outstanding.size < Math.max(extensionCapacity, 1)
+        ) {
+          const item = items[nextIndex++];
+          const { taskId, result } = scheduleScrape(item.url, item.options);
+          outstanding.add(taskId);
+
+          result.then(async (outcome) => {
+            outstanding.delete(taskId);
+            if (!aborted) {
+              await output.writeln(JSON.stringify({
+                index: item.index,
+                url: item.url,
+                success: !outcome.error,
+                result: outcome,
+              }));
+            }
+            feed();
+          });
+        }
+
+        if (outstanding.size === 0 && (aborted || nextIndex >= items.length)) {
+          resolve();
+        }
+      };
+
+      feed();
+    });
+
+    log(`Batch finished: ${nextIndex}/${items.length} URLs dispatched`);
+  });
+});
+
+// Async job endpoints
+app.post('/jobs', async (c) => {
+  let body;
+  try {
+    body = await c.req.json();
+  } catch (e) {
+    return c.json({ error: 'Invalid JSON body', error_code: 'invalid_request' }, 400);
+  }
+
+  const { url, options = {}, callbackUrl } = body;
+
+  if (!url) {
+    return c.json({ error: 'URL is required', error_code: 'invalid_request' }, 400);
+  }
+
+  const optionsError = validateScrapeOptions(options);
+  if (optionsError) {
+    return c.json({ error: optionsError, error_code: 'invalid_request' }, 400);
+  }
+
+  const policyError = await checkScrapeUrl(url);
+  if (policyError) {
+    return c.json(policyError, 403);
+  }
+
+  const callbackError = callbackUrl ? await checkCallbackUrl(callbackUrl) : null;
+  if (callbackError) {
+    return c.json({ error: callbackError, error_code: 'invalid_request' }, 400);
+  }
+
+  const supportError = checkExtensionSupport(options);
+  if (supportError) {
+    return c.json(supportError, getErrorHttpStatus(supportError.error_code));
+  }
+
+  if (isQueueFull()) {
+    log(`Queue full (${requestQueue.length}), rejecting job for ${url}`);
+    c.header('Retry-After', String(QUEUE_RETRY_AFTER_SECONDS));
+    return c.json({ error: 'Queue is full, retry later', error_code: 'queue_full', queue: getQueueStats() }, 429);
+  }
+
+  const job = createJob(url, options, callbackUrl);
+  log(`Job created: ${job.id} (${job.taskId}) -> ${url}`);
+
+  return c.json(serializeJob(job), 202);
+});
+
+app.get('/jobs/:id', (c) => {
+  const job = jobs.get(c.req.param('id'));
+  if (!job) {
+    return c.json({ error: 'Job not found', error_code: 'not_found' }, 404);
+  }
+  return c.json(serializeJob(job));
+});
+
+app.delete('/jobs/:id', (c) => {
+  const job = jobs.get(c.req.param('id'));
+  if (!job) {
+    return c.json({ error: 'Job not found', error_code: 'not_found' }, 404);
+  }
+
+  if (job.result) {
+    return c.json({ error: 'Job already finished', error_code: 'job_finished', job: serializeJob(job) }, 409);
+  }
+
+  job.cancelled = true;
+  cancelTask(job.taskId, 'Job cancelled');
+  log(`Job cancelled: ${job.id}`);
+
+  return c.json(serializeJob(job));
+});
+
 // Start HTTP server
 let server;
 
@@ -329,25 +1543,72 @@ function startServer() {
   }, (info) => {
     log(`HTTP server listening on port ${info.port}`);
   });
+
+  server.on('request', (req, res) => {
+    openResponses++;
+    res.on('close', () => {
+      openResponses--;
+    });
+  });
+}
+
+// Fail pending requests, keep answering new ones with 503 until every open
+// response is flushed (or DRAIN_TIMEOUT passes), then exit
+function shutdown(reason, error) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  clearInterval(heartbeat.timer);
+  log(`Shutting down (${reason}): ${pendingRequests.size} pending, ${openResponses} open responses`);
+
+  failPendingRequests(error);
+
+  const exit = () => {
+    log('Shutdown complete');
+    process.exit(0);
+  };
+
+  setTimeout(() => {
+    log(`Drain timeout after ${DRAIN_TIMEOUT}ms with ${openResponses} open responses`);
+    exit();
+  }, DRAIN_TIMEOUT);
+
+  const waitForDrain = () => {
+    if (openResponses > 0) {
+      setTimeout(waitForDrain, 50);
+      return;
+    }
+    if (server) {
+      server.close(exit);
+      server.closeIdleConnections();
+    } else {
+      exit();
+    }
+  };
+  waitForDrain();
 }
 
 // Main loop - read messages from extension
 async function main() {
   process.stdin.on('end', () => {
     log('Extension disconnected (stdin closed)');
-    if (server) {
-      server.close();
-    }
-    process.exit(0);
+    shutdown('stdin closed', 'Extension disconnected');
   });
 
+  process.on('SIGTERM', () => shutdown('SIGTERM', 'Native host is shutting down'));
+  process.on('SIGINT', () => shutdown('SIGINT', 'Native host is shutting down'));
+
   // Start HTTP server
   startServer();
+  startHeartbeat();
 
   while (true) {
     try {
       const message = await readMessage();
-      handleExtensionMessage(message);
+      handleExtensionMessage(message).catch((error) => {
+        log(`Failed to handle ${message.type}: ${error.message}`);
+      });
     } catch (error) {
       if (error.message === 'Message too large') {
         oversizeLogCount += 1;
@@ -0,0 +1,173 @@
+// URL policy for scrape targets: scheme allowlist, domain allow/deny patterns
+// and private-network protection
+
+const dns = require('dns').promises;
+const net = require('net');
+
+const DEFAULT_URL_POLICY = {
+  allowedSchemes: ['http', 'https'],
+  allowDomains: [],
+  denyDomains: [],
+  blockPrivateNetworks: true,
+};
+
+// A hung resolver must not stall /scrape or batch validation
+const DNS_LOOKUP_TIMEOUT = 5000;
+
+// IPv4 ranges that are not on the public internet: [network, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+];
+
+function toStringList(value, fallback) {
+  if (!Array.isArray(value)) {
+    return fallback;
+  }
+  return value.map((item) => String(item).toLowerCase().replace(/:$/, ''));
+}
+
+function normalizeUrlPolicy(value = {}) {
+  return {
+    allowedSchemes: toStringList(value.allowedSchemes, DEFAULT_URL_POLICY.allowedSchemes),
+    allowDomains: toStringList(value.allowDomains, DEFAULT_URL_POLICY.allowDomains),
+    denyDomains: toStringList(value.denyDomains, DEFAULT_URL_POLICY.denyDomains),
+    blockPrivateNetworks: value.blockPrivateNetworks !== false,
+  };
+}
+
+// "example.com" matches only that host; "*.example.com" matches its subdomains
+function matchesDomain(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+function isPrivateIPv4(address) {
+  const value = ipv4ToNumber(address);
+  return PRIVATE_IPV4_RANGES.some(([network, bits]) => {
+    const size = 2 ** (32 - bits);
+    const start = ipv4ToNumber(network);
+    return value >= start && value < start + size;
+  });
+}
+
+function isPrivateIPv6(address) {
+  const lower = address.toLowerCase();
+  // IPv4 embedded in IPv4-mapped (::ffff:), IPv4-compatible (::) or NAT64 (64:ff9b::) form
+  const embedded = lower.match(/^(?:::ffff:|::|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    return isPrivateIPv4(embedded[1]);
+  }
+  // URL parsing rewrites ::ffff:10.0.0.1 as ::ffff:a00:1
+  const embeddedHex = lower.match(/^(?:::ffff:|::|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (embeddedHex) {
+    const value = parseInt(embeddedHex[1], 16) * 65536 + parseInt(embeddedHex[2], 16);
+    return isPrivateIPv4([24, 16, 8, 0].map((shift) => Math.floor(value / 2 ** shift) % 256).join('.'));
+  }
+  if (lower === '::' || lower === '::1') {
+    return true;
+  }
+  // fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+  return /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('ff');
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return isPrivateIPv4(address);
+  }
+  if (family === 6) {
+    return isPrivateIPv6(address);
+  }
+  return false;
+}
+
+function getHostname(parsed) {
+  return parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+// Checks that need no network access; returns the violation or null
+function checkUrl(url, policy) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return 'Invalid URL';
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, '');
+  if (!policy.allowedSchemes.includes(scheme)) {
+    return `Scheme not allowed: ${scheme}`;
+  }
+
+  const hostname = getHostname(parsed);
+  if (policy.denyDomains.some((pattern) => matchesDomain(hostname, pattern))) {
+    return `Domain denied by policy: ${hostname}`;
+  }
+  if (policy.allowDomains.length > 0 &&
+      !policy.allowDomains.some((pattern) => matchesDomain(hostname, pattern))) {
+    return `Domain not in allowlist: ${hostname}`;
+  }
+
+  if (policy.blockPrivateNetworks &&
+      (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname))) {
+    return `Private network address not allowed: ${hostname}`;
+  }
+
+  return null;
+}
+
+function lookupWithTimeout(hostname) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`DNS lookup timed out: ${hostname}`)), DNS_LOOKUP_TIMEOUT);
+  });
+  return Promise.race([dns.lookup(hostname, { all: true }), timeout])
+    .finally(() => clearTimeout(timer));
+}
+
+// checkUrl plus a DNS lookup, so names that point into a private network are
+// caught too. Lookup failures and timeouts are left for the browser to report;
+// the extension still checks the address Chrome connects to.
+async function checkUrlPolicy(url, policy) {
+  const violation = checkUrl(url, policy);
+  if (violation || !policy.blockPrivateNetworks) {
+    return violation;
+  }
+
+  const hostname = getHostname(new URL(url));
+  if (!hostname || net.isIP(hostname)) {
+    return null;
+  }
+
+  try {
+    const addresses = await lookupWithTimeout(hostname);
+    const privateAddress = addresses.find(({ address }) => isPrivateAddress(address));
+    if (privateAddress) {
+      return `Private network address not allowed: ${hostname} resolves to ${privateAddress.address}`;
+    }
+  } catch (e) {
+    // Unresolvable or slow hosts fail in the browser with dns_failure, or are caught there
+  }
+  return null;
+}
+
+module.exports = {
+  checkUrlPolicy,
+  normalizeUrlPolicy,
+};
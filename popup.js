@@ -1,5 +1,6 @@
 const serverUrlInput = document.getElementById('serverUrl');
 const pageLoadTimeoutInput = document.getElementById('pageLoadTimeout');
+const maxConcurrencyInput = document.getElementById('maxConcurrency');
 const startBtn = document.getElementById('startBtn');
 const stopBtn = document.getElementById('stopBtn');
 const reconnectBtn = document.getElementById('reconnectBtn');
@@ -7,9 +8,14 @@ const statusIndicator = document.getElementById('statusIndicator');
 const connectionStatus = document.getElementById('connectionStatus');
 const totalScrapedEl = document.getElementById('totalScraped');
 const errorsEl = document.getElementById('errors');
+const activeSlotsEl = document.getElementById('activeSlots');
+const idleSlotsEl = document.getElementById('idleSlots');
 const lastActivityEl = document.getElementById('lastActivity');
 const debugBtn = document.getElementById('debugBtn');
 const debugStatusEl = document.getElementById('debugStatus');
+const hostErrorEl = document.getElementById('hostError');
+const bodiesBtn = document.getElementById('bodiesBtn');
+const bodiesStatusEl = document.getElementById('bodiesStatus');
 
 // Load current status
 chrome.runtime.sendMessage({ type: 'GET_STATUS' }, (response) => {
@@ -25,26 +31,35 @@ chrome.runtime.onMessage.addListener((message) => {
   }
 });
 
-function updateUI({ config, stats, isProcessing }) {
+function updateUI({ config, stats, isProcessing, pool }) {
   serverUrlInput.value = config.serverUrl;
   pageLoadTimeoutInput.value = config.pageLoadTimeout;
+  maxConcurrencyInput.value = config.maxConcurrency;
 
   // Update status indicator
   statusIndicator.className = 'status-indicator';
 
   if (isProcessing) {
     statusIndicator.classList.add('processing');
-    connectionStatus.textContent = 'Processing...';
+    connectionStatus.textContent = pool
+      ? `Processing (${pool.active}/${pool.size})...`
+      : 'Processing...';
   } else if (stats.connectionState === 'connected') {
     statusIndicator.classList.add('connected');
-    connectionStatus.textContent = 'Connected';
+    connectionStatus.textContent = stats.legacyHost ? 'Connected (legacy host)' : 'Connected';
   } else if (stats.connectionState === 'connecting') {
     statusIndicator.classList.add('connecting');
     connectionStatus.textContent = 'Connecting...';
+  } else if (stats.connectionState === 'incompatible') {
+    statusIndicator.classList.add('incompatible');
+    connectionStatus.textContent = 'Incompatible host';
   } else {
     connectionStatus.textContent = 'Disconnected';
   }
 
+  hostErrorEl.textContent = stats.hostError || '';
+  hostErrorEl.hidden = !stats.hostError;
+
   // Update buttons
   startBtn.disabled = config.enabled;
   stopBtn.disabled = !config.enabled;
@@ -54,6 +69,11 @@ function updateUI({ config, stats, isProcessing }) {
   totalScrapedEl.textContent = stats.totalScraped;
   errorsEl.textContent = stats.errors;
 
+  if (pool) {
+    activeSlotsEl.textContent = pool.active;
+    idleSlotsEl.textContent = pool.idle;
+  }
+
   if (stats.lastActivity) {
     const date = new Date(stats.lastActivity);
     lastActivityEl.textContent = `Last activity: ${date.toLocaleTimeString()}`;
@@ -64,12 +84,14 @@ function saveConfig() {
   const config = {
     serverUrl: serverUrlInput.value.trim(),
     pageLoadTimeout: parseInt(pageLoadTimeoutInput.value, 10) || 30000,
+    maxConcurrency: parseInt(maxConcurrencyInput.value, 10) || 3,
   };
   chrome.runtime.sendMessage({ type: 'UPDATE_CONFIG', config });
 }
 
 serverUrlInput.addEventListener('change', saveConfig);
 pageLoadTimeoutInput.addEventListener('change', saveConfig);
+maxConcurrencyInput.addEventListener('change', saveConfig);
 
 startBtn.addEventListener('click', () => {
   saveConfig();
@@ -84,6 +106,22 @@ reconnectBtn.addEventListener('click', () => {
   chrome.runtime.sendMessage({ type: 'RECONNECT' });
 });
 
+// captureNetwork.includeBodies drives the debugger, which is an optional permission
+const DEBUGGER_PERMISSION = { permissions: ['debugger'] };
+
+function showBodiesPermission(granted) {
+  bodiesBtn.disabled = granted;
+  bodiesStatusEl.textContent = granted
+    ? 'Response bodies can be captured'
+    : 'Needed for captureNetwork.includeBodies';
+}
+
+chrome.permissions.contains(DEBUGGER_PERMISSION, showBodiesPermission);
+
+bodiesBtn.addEventListener('click', () => {
+  chrome.permissions.request(DEBUGGER_PERMISSION, showBodiesPermission);
+});
+
 const setDebugStatus = (text, isError = false) => {
   debugStatusEl.textContent = text;
   debugStatusEl.style.color = isError ? '#f87171' : '#9ca3af';